@@ -0,0 +1,25 @@
+import { buildIntegrityReport } from "./helpers/integrity.js";
+import { log, runWithRequestId } from "./helpers/logging.js";
+import { getProgram, getProgramYear } from "./helpers/programs.js";
+import { buildStorage } from "./helpers/storage/index.js";
+
+const sharedDb = buildStorage(); // chosen by the `STORAGE_BACKEND` environment variable
+
+// Returns the data-integrity report, run locally with `npm run check-integrity`. Pass `programId`
+// and `year` in the event (`--data '{"programId": "...", "year": "..."}'`) to check a program or
+// academic year other than the default program's current year
+export const handler = async (event, context) =>
+  runWithRequestId(context?.awsRequestId, async () => {
+    const program = await getProgram(sharedDb, event?.programId ?? process.env.DEFAULT_PROGRAM_ID),
+      programYear = getProgramYear(program, event?.year),
+      report = await buildIntegrityReport(buildStorage(programYear.tablePrefix), programYear);
+    log("info", "Checked integrity", {
+      programId: program.id,
+      year: programYear.year,
+      numProblems: Object.values(report).reduce(
+        (numProblems, { length }) => numProblems + length,
+        0
+      ),
+    });
+    return report;
+  });
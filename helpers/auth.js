@@ -0,0 +1,233 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import StatusError from "./status-error.js";
+
+// Cohort that the legacy `DEFAULT_PIN` belongs to
+const COHORT_DEFAULT = "default",
+    TOKEN_HEADER = { alg: "HS256", typ: "JWT" };
+
+/**
+ * Find the cohort of a program that a PIN belongs to. Multiple PINs can be active for the same
+ * cohort at once so that PINs can be rotated without locking everyone out
+ * @param  {String} programId   Program id
+ * @param  {String} pin         PIN to look up
+ * @return {Null|String}        Name of the cohort if the PIN is active, otherwise null
+ */
+export function findCohortForPin(programId, pin) {
+    const fingerprint = buildPinFingerprint(pin),
+        match = getActivePins().find(
+            (activePin) =>
+                activePin.programId === programId &&
+                isEqual(buildPinFingerprint(activePin.pin), fingerprint)
+        );
+    return match?.cohort ?? null;
+}
+
+/**
+ * Build a signed token (an HMAC-signed JWT) for a cohort of a program. The token includes a
+ * fingerprint of the PIN used to log in so that rotating out that PIN also invalidates its tokens
+ * @param  {String} programId   Program id
+ * @param  {String} cohort      Name of the cohort
+ * @param  {String} pin         PIN used to log in
+ * @return {Object}             Object with keys `token` and `expiresAt` (ISO 8601 timestamp)
+ */
+export function buildToken(programId, cohort, pin) {
+    const issuedAt = Math.floor(Date.now() / 1000),
+        expiresAt = issuedAt + Number(process.env.AUTH_TOKEN_TTL_SECONDS),
+        payload = {
+            sub: cohort,
+            program: programId,
+            pin: buildPinFingerprint(pin),
+            iat: issuedAt,
+            exp: expiresAt,
+        },
+        unsignedToken = `${encodeSegment(TOKEN_HEADER)}.${encodeSegment(payload)}`;
+    return {
+        token: `${unsignedToken}.${sign(unsignedToken)}`,
+        expiresAt: new Date(expiresAt * 1000).toISOString(),
+    };
+}
+
+/**
+ * Validate that a token was signed by us for a program, has not expired, and was issued for a PIN
+ * that is still active for the token's cohort
+ * @param  {String} token       Token built by the `buildToken` function
+ * @param  {String} programId   Program id that the token must be for
+ * @return {Object}             Token payload with keys `sub` (cohort), `program`, `pin`, `iat`, and
+ *                                  `exp`
+ */
+export function tryVerifyToken(token, programId) {
+    const [header, payload, signature] = String(token ?? "").split(".");
+    if (!header || !payload || !signature || !isEqual(sign(`${header}.${payload}`), signature)) {
+        throw new StatusError(401, "You need to log in to see this");
+    }
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    // tokens issued before there were programs are for the default program
+    claims.program ??= process.env.DEFAULT_PROGRAM_ID;
+    if (claims.program !== programId) {
+        throw new StatusError(401, "You need to log in to this program to see this");
+    } else if (claims.exp <= Math.floor(Date.now() / 1000)) {
+        throw new StatusError(401, "Your session has expired, please log in again");
+    }
+    const isPinActive = getActivePins().some(
+        ({ programId: pinProgramId, cohort, pin }) =>
+            pinProgramId === claims.program &&
+            cohort === claims.sub &&
+            isEqual(buildPinFingerprint(pin), claims.pin)
+    );
+    if (!isPinActive) {
+        throw new StatusError(401, "The password has changed, please log in again");
+    }
+    return claims;
+}
+
+/**
+ * Express middleware that requires a valid token for the program of the request, either as a bearer
+ * token in the `Authorization` header or, for clients that cannot set headers such as calendar
+ * apps, in the `token` query param. Must be used after the program is added as `req.program`
+ * @param  {Request} req      Express request, the token payload is added as `req.auth`
+ * @param  {Response} res     Express response
+ * @param  {Function} next    Next middleware
+ */
+export function requireToken(req, res, next) {
+    const [scheme, headerToken] = (req.get("Authorization") ?? "").split(" ");
+    try {
+        req.auth = tryVerifyToken(
+            scheme === "Bearer" ? headerToken : req.query.token,
+            req.program.id
+        );
+    } catch (error) {
+        next(error);
+        return;
+    }
+    next();
+}
+
+/**
+ * Express middleware that requires the token from `requireToken` to belong to one of the admin
+ * cohorts listed in `AUTH_ADMIN_COHORTS` (comma-separated, see `parseProgramCohort`), must be used
+ * after `requireToken`
+ * @param  {Request} req      Express request
+ * @param  {Response} res     Express response
+ * @param  {Function} next    Next middleware
+ */
+export function requireAdmin(req, res, next) {
+    if (isAdmin(req.auth)) {
+        next();
+    } else {
+        next(new StatusError(403, "You need to be an admin to do this"));
+    }
+}
+
+/**
+ * Gets the cohort whose own items a token can read and change, such as digest subscriptions, which
+ * is null for admin cohorts since they can read and change every item of their program
+ * @param  {Object} auth    Token payload added as `req.auth` by `requireToken`
+ * @return {Null|String}    Cohort of the token, or null for admin cohorts
+ */
+export function getOwnerCohort(auth) {
+    return isAdmin(auth) ? null : auth.sub;
+}
+
+// Helpers
+// -------
+
+/**
+ * Whether a token belongs to one of the admin cohorts listed in `AUTH_ADMIN_COHORTS`
+ * (comma-separated, see `parseProgramCohort`)
+ * @param  {Object} auth    Token payload added as `req.auth` by `requireToken`
+ * @return {Boolean}        Whether the token is for an admin cohort of its program
+ */
+function isAdmin(auth) {
+    return (process.env.AUTH_ADMIN_COHORTS ?? "")
+        .split(",")
+        .map((programCohort) => programCohort.trim())
+        .filter(Boolean)
+        .map(parseProgramCohort)
+        .some(({ programId, cohort }) => programId === auth?.program && cohort === auth?.sub);
+}
+
+/**
+ * Get all active PINs, which are the PINs in `AUTH_PINS` (formatted as comma-separated
+ * `cohort:pin` pairs, see `parseProgramCohort` for the cohort) plus the `DEFAULT_PIN` if it is set
+ * @return {Array}  Objects with keys `programId`, `cohort`, and `pin`
+ */
+function getActivePins() {
+    const activePins = (process.env.AUTH_PINS ?? "")
+        .split(",")
+        .map((pair) => pair.trim())
+        .filter((pair) => pair.includes(":"))
+        .map((pair) => {
+            const separatorIndex = pair.lastIndexOf(":");
+            return {
+                ...parseProgramCohort(pair.slice(0, separatorIndex).trim()),
+                pin: pair.slice(separatorIndex + 1).trim(),
+            };
+        });
+    if (process.env.DEFAULT_PIN) {
+        activePins.push({
+            programId: process.env.DEFAULT_PROGRAM_ID,
+            cohort: COHORT_DEFAULT,
+            pin: process.env.DEFAULT_PIN,
+        });
+    }
+    return activePins;
+}
+
+/**
+ * Parse a cohort from the environment variables, which is written as `programId/cohort` for the
+ * cohorts of a program or just `cohort` for the cohorts of the `DEFAULT_PROGRAM_ID` program
+ * @param  {String} programCohort   Cohort, optionally prefixed by its program id
+ * @return {Object}                 Object with keys `programId` and `cohort`
+ */
+function parseProgramCohort(programCohort) {
+    const separatorIndex = programCohort.indexOf("/");
+    return separatorIndex === -1
+        ? { programId: process.env.DEFAULT_PROGRAM_ID, cohort: programCohort }
+        : {
+              programId: programCohort.slice(0, separatorIndex).trim(),
+              cohort: programCohort.slice(separatorIndex + 1).trim(),
+          };
+}
+
+/**
+ * Build a keyed hash of a PIN so that the PIN itself never appears in a token
+ * @param  {String} pin PIN
+ * @return {String}     Fingerprint of the PIN
+ */
+function buildPinFingerprint(pin) {
+    return createHmac("sha256", process.env.AUTH_TOKEN_SECRET)
+        .update(`pin:${pin}`)
+        .digest("base64url");
+}
+
+/**
+ * Sign part of a token
+ * @param  {String} unsignedToken Encoded header and payload separated by a period
+ * @return {String}               Base64url-encoded signature
+ */
+function sign(unsignedToken) {
+    return createHmac("sha256", process.env.AUTH_TOKEN_SECRET)
+        .update(unsignedToken)
+        .digest("base64url");
+}
+
+/**
+ * Encode an object as a base64url JSON token segment
+ * @param  {Object} obj Object to encode
+ * @return {String}     Encoded segment
+ */
+function encodeSegment(obj) {
+    return Buffer.from(JSON.stringify(obj)).toString("base64url");
+}
+
+/**
+ * Compare two strings in constant time to avoid leaking information through timing
+ * @param  {String} str1 First string
+ * @param  {String} str2 Second string
+ * @return {Boolean}     Whether or not the strings are equal
+ */
+function isEqual(str1, str2) {
+    const buffer1 = Buffer.from(String(str1)),
+        buffer2 = Buffer.from(String(str2));
+    return buffer1.length === buffer2.length && timingSafeEqual(buffer1, buffer2);
+}
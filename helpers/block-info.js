@@ -1,14 +1,16 @@
 /**
  * Building the `blockInfo` object
- * @param  {DayJs} thisDay    DayJS object
- * @param  {String} blockName Block name (e.g., 2A, 2B)
- * @param  {String} startDate String in the `YYYY-MM-DD` format
- * @return {Object}           BlockInfo object`
+ * @param  {DayJs} thisDay          DayJS object
+ * @param  {String} blockName       Block name (e.g., 2A, 2B)
+ * @param  {String} startDate       String in the `YYYY-MM-DD` format
+ * @param  {Null|String} blockType  Sub-block label of the block (e.g., A, B), null if the role does
+ *                                      not split its blocks
+ * @return {Object}                 BlockInfo object`
  */
-export function buildBlockInfo(thisDay, blockName, startDate) {
+export function buildBlockInfo(thisDay, blockName, startDate, blockType = null) {
     return {
         blockName: blockName,
-        isA: blockName?.includes("A"),
+        blockType,
         dayNumber: thisDay?.diff(startDate, "day") + 1,
     };
 }
@@ -23,19 +25,37 @@ export function getBlockNameFromBlockInfo(blockInfo) {
 }
 
 /**
- * Gets whether or not this is an "A" block
+ * Gets the sub-block label of the block, which is the `block_type` of the templates that apply
  * @param  {Object} blockInfo Object built by the `buildBlockInfo` function
- * @return {Boolean}          Whether or not this an "A" block
+ * @return {Null|String}      Sub-block label (e.g., A, B), null if the role does not split its blocks
  */
-export function getIsAFromBlockInfo(blockInfo) {
-    return blockInfo?.isA;
+export function getBlockTypeFromBlockInfo(blockInfo) {
+    return blockInfo?.blockType;
 }
 
 /**
- * Gets the day number, that is whether it is day 1 through 14 of the 2 week block
+ * Gets the day number, that is which day of the block it is
  * @param  {Object} blockInfo Object built by the `buildBlockInfo` function
- * @return {Number}           Which number day of the block it is (1 through 14, 2 week blocks)
+ * @return {Number}           Which number day of the block it is (1 through the role's block length)
  */
 export function getDayNumberFromBlockInfo(blockInfo) {
     return blockInfo?.dayNumber;
 }
+
+/**
+ * Build the block info of a role in the shape returned before block info was keyed by role, for
+ * clients that still read `internBlockInfo` and `residentBlockInfo`
+ * @param  {Undefined|Object} blockInfo   Object built by the `buildBlockInfo` function, undefined if the
+ *                                            role has no block on the date
+ * @return {Undefined|Object}             Object with keys `blockName`, `isA`, and `dayNumber`,
+ *                                            undefined if there is no block info
+ */
+export function buildLegacyBlockInfo(blockInfo) {
+    return blockInfo
+        ? {
+              blockName: blockInfo.blockName,
+              isA: blockInfo.blockType === "A",
+              dayNumber: blockInfo.dayNumber,
+          }
+        : undefined;
+}
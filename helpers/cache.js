@@ -0,0 +1,40 @@
+/**
+ * Build a cache for data fetched while handling a single request so that data shared between days
+ * (e.g., a block's schedules and templates) is only fetched once
+ * @param  {DayJS} fromDay  First day covered by the request
+ * @param  {DayJS} toDay    Last day covered by the request
+ * @return {Object}         Cache object with keys `fromDay`, `toDay`, and `promises`
+ */
+export function buildRequestCache(fromDay, toDay) {
+    return { fromDay, toDay, promises: new Map() };
+}
+
+/**
+ * Gets the cached result for a key, calling `fetchFn` and caching its result if not found. The promise
+ * itself is cached so that concurrent callers share a single fetch
+ * @param  {Null|Object} cache  Object built by the `buildRequestCache` function, if null then
+ *                                  `fetchFn` is always called
+ * @param  {String} key         Cache key
+ * @param  {Function} fetchFn   Async function that fetches the value to cache
+ * @return {Promise}            Resolves to the cached or freshly fetched value
+ */
+export function tryGetFromCache(cache, key, fetchFn) {
+    if (!cache) {
+        return fetchFn();
+    }
+    if (!cache.promises.has(key)) {
+        cache.promises.set(key, fetchFn());
+    }
+    return cache.promises.get(key);
+}
+
+/**
+ * Gets the range of days that should be fetched together, defaulting to just the passed-in day if
+ * there is no cache
+ * @param  {Null|Object} cache  Object built by the `buildRequestCache` function
+ * @param  {DayJS} thisDay      DayJS object to default to if there is no cache
+ * @return {Array}              Two DayJS objects, the first and last days of the range
+ */
+export function getDayRangeFromCache(cache, thisDay) {
+    return [cache?.fromDay ?? thisDay, cache?.toDay ?? thisDay];
+}
@@ -0,0 +1,103 @@
+import StatusError from "./status-error.js";
+
+// What a change did to an item
+const CHANGE_ACTION_ADDED = "added",
+    CHANGE_ACTION_CHANGED = "changed",
+    CHANGE_ACTION_DELETED = "deleted",
+    DEFAULT_NUM_RECENT_CHANGES = 50,
+    MAX_NUM_RECENT_CHANGES = 200;
+
+/**
+ * Names of the tables of an academic year whose changes are recorded, which are the tables that
+ * decide how people are classified
+ * @return {Array}  Table names from `serverless.yml`
+ */
+export function getHistoryTableNames() {
+    return [
+        process.env.TABLE_BLOCKS,
+        process.env.TABLE_SCHEDULES,
+        process.env.TABLE_TEMPLATES,
+        process.env.TABLE_DATE_TEMPLATES,
+        process.env.TABLE_SERVICE_REGEX,
+        process.env.TABLE_ROLES,
+        process.env.TABLE_OVERRIDES,
+        process.env.TABLE_LEAVE,
+    ];
+}
+
+/**
+ * Build the id of an item from its key attributes, which is how changes refer to items
+ * @param  {Array} keyAttributes    Names of the key attributes of the item's table
+ * @param  {Object} item            Item or key
+ * @return {String}                 Values of the key attributes joined with slashes
+ */
+export function buildItemId(keyAttributes, item) {
+    return keyAttributes.map((attribute) => item[attribute]).join(" / ");
+}
+
+/**
+ * Record changes to the items of a table as made by a cohort right now. Call this before writing the
+ * items, so that a write that fails partway through is recorded as having changed every item. Undoing
+ * a change that was not made leaves the item as it is, while a change that was made but not recorded
+ * could not be undone, see `withDataAsOf`
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {String} tableName           One of the names returned by `getHistoryTableNames`
+ * @param  {Array} itemChanges          Objects with keys `itemId` (see `buildItemId`), `before`, and
+ *                                          `after`, which are the whole item or null if the item
+ *                                          is being added or deleted
+ * @param  {String} changedBy           Cohort of the token used to make the changes
+ */
+export async function recordChanges(db, tableName, itemChanges, changedBy) {
+    if (itemChanges.length === 0) {
+        return;
+    }
+    const changedAt = new Date().toISOString();
+    await db.addChanges(
+        itemChanges.map(({ itemId, before, after }) => ({
+            tableName,
+            // sorts changes by when they were made and is unique since a write changes an item once
+            changeId: `${changedAt}#${itemId}`,
+            changedAt,
+            changedBy,
+            itemId,
+            action:
+                before === null
+                    ? CHANGE_ACTION_ADDED
+                    : after === null
+                    ? CHANGE_ACTION_DELETED
+                    : CHANGE_ACTION_CHANGED,
+            before,
+            after,
+        }))
+    );
+}
+
+/**
+ * Gets the most recent changes to one or all of the tables whose changes are recorded
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {Null|String} tableName      One of the names returned by `getHistoryTableNames`, or null
+ *                                          for every table
+ * @param  {Null|Number} limit          How many changes to return, at most `MAX_NUM_RECENT_CHANGES`
+ * @param  {Null|String} before         Only return changes whose `changeId` comes before this, such
+ *                                          as the last `changeId` of the previous page or a timestamp
+ * @return {Array}                      Change items, newest first
+ */
+export async function getRecentChanges(db, tableName = null, limit = null, before = null) {
+    const tableNames = getHistoryTableNames();
+    if (tableName !== null && !tableNames.includes(tableName)) {
+        throw new StatusError(
+            400,
+            `Changes are only recorded for the following tables: ${tableNames.join(", ")}`
+        );
+    }
+    const numChanges = Math.min(limit ?? DEFAULT_NUM_RECENT_CHANGES, MAX_NUM_RECENT_CHANGES),
+        changesByTable = await Promise.all(
+            (tableName === null ? tableNames : [tableName]).map((name) =>
+                db.getRecentChanges(name, numChanges, before)
+            )
+        );
+    return changesByTable
+        .flat()
+        .sort((c1, c2) => (c1.changeId < c2.changeId ? 1 : -1))
+        .slice(0, numChanges);
+}
@@ -0,0 +1,213 @@
+import { getBlockTypeFromBlockInfo } from "./block-info.js";
+import { tryGetFromCache } from "./cache.js";
+import { getDateTemplateServicesForRole } from "./date-template-sites.js";
+import { getBlockInfoByRoleForDate } from "./db.js";
+import { classifySchedulesForRoleAndBlockInfo } from "./output.js";
+import { tryBuildRegexForServices } from "./regex.js";
+
+// Sites without a date template for the date have unknown positions, so their expressions match
+// any position and their people are grouped under the service without a team
+const EXP_ANY_POSITION = ".+";
+
+/**
+ * Build the coverage of every service on a date, which groups everyone by the service and team
+ * (position) their assignment matches and counts how many of them are working, off, maybe off, and
+ * on leave after applying leave and overrides. Services and teams come from the templates of each
+ * role's current block and the date templates of its sites, so services nobody is assigned to are
+ * also listed. A service is understaffed when fewer people are working than its `min_staffing` in
+ * the ServiceRegex table (the largest if it has several expressions), where people who are maybe
+ * off are not counted as working
+ * @param  {Storage} db                  Storage built by `buildStorage`
+ * @param  {DayJS}  thisDay              DayJS date object
+ * @param  {Null|Object} cache           Optional object built by the `buildRequestCache` function
+ * @return {Object}                      Object with keys `id`, `fetchedDate`, `blockInfoByRole`,
+ *                                            `services` (array of objects with keys `service`,
+ *                                            `minStaffing`, `isUnderstaffed`, the counts built by
+ *                                            `countPeopleByStatus`, and `teams`, which are objects
+ *                                            with keys `position`, the counts, and `people`),
+ *                                            `understaffedServices` (service names), `unmatched`
+ *                                            (people whose assignment matched no service), and
+ *                                            `warnings` (see `classifySchedulesForRoleAndBlockInfo`)
+ */
+export async function buildCoverageForDate(db, thisDay, cache = null) {
+    const [blockInfoByRole, serviceRegexes] = await Promise.all([
+            getBlockInfoByRoleForDate(db, thisDay, cache),
+            tryGetFromCache(cache, "serviceRegex", () => db.getServiceRegexes()),
+        ]),
+        peopleByTeamKeyByService = new Map(),
+        unmatched = [],
+        warnings = [];
+    for (const [role, blockInfo] of Object.entries(blockInfoByRole)) {
+        const [{ classifiedSchedules, warnings: roleWarnings }, teams] = await Promise.all([
+            classifySchedulesForRoleAndBlockInfo(db, thisDay, role, blockInfo, cache),
+            getTeamsForRoleAndBlockInfo(db, thisDay, role, blockInfo, serviceRegexes, cache),
+        ]);
+        warnings.push(...roleWarnings);
+        for (const { service, position } of teams) {
+            if (!peopleByTeamKeyByService.has(service)) {
+                peopleByTeamKeyByService.set(service, new Map());
+            }
+            const peopleByTeamKey = peopleByTeamKeyByService.get(service);
+            if (!peopleByTeamKey.has(position)) {
+                peopleByTeamKey.set(position, []);
+            }
+        }
+        for (const [status, schedules] of Object.entries(classifiedSchedules)) {
+            for (const schedule of schedules) {
+                const person = { ...schedule, status },
+                    team = teams.find(({ regex }) => regex.test(schedule.assignment ?? ""));
+                if (team) {
+                    peopleByTeamKeyByService.get(team.service).get(team.position).push(person);
+                } else {
+                    unmatched.push(person);
+                }
+            }
+        }
+    }
+    const minStaffingByService = getMinStaffingByService(serviceRegexes),
+        services = [...peopleByTeamKeyByService.entries()]
+            .sort(([s1], [s2]) => s1.localeCompare(s2))
+            .map(([service, peopleByTeamKey]) => {
+                const teams = [...peopleByTeamKey.entries()]
+                        // the team without a position comes first
+                        .sort(([p1], [p2]) => (p1 ?? "").localeCompare(p2 ?? ""))
+                        .map(([position, people]) => ({
+                            position,
+                            ...countPeopleByStatus(people),
+                            people: sortPeopleByName(people),
+                        })),
+                    counts = countPeopleByStatus(teams.flatMap(({ people }) => people)),
+                    minStaffing = minStaffingByService.get(service) ?? null;
+                return {
+                    service,
+                    minStaffing,
+                    isUnderstaffed: minStaffing !== null && counts.numWorking < minStaffing,
+                    ...counts,
+                    teams,
+                };
+            }),
+        fetchedDate = thisDay.format(process.env.FORMAT_DATE);
+    return {
+        id: fetchedDate,
+        fetchedDate,
+        blockInfoByRole,
+        services,
+        understaffedServices: services
+            .filter(({ isUnderstaffed }) => isUnderstaffed)
+            .map(({ service }) => service),
+        unmatched: sortPeopleByName(unmatched),
+        warnings,
+    };
+}
+
+// Helpers
+// -------
+
+/**
+ * Gets the teams of a role on a date, which are the services and positions of the templates for
+ * the role's current block and of the date templates of its sites, each with a regular expression
+ * that matches the assignments of the team. Teams of expressions without a position placeholder
+ * cover every position of their service, so their `position` is null
+ * @param  {Storage} db                  Storage built by `buildStorage`
+ * @param  {DayJS}  thisDay              DayJS date object
+ * @param  {String} role                 Role (intern or resident)
+ * @param  {Object} blockInfo            Object built by the `buildBlockInfo` function
+ * @param  {Array} serviceRegexes        Every row of the ServiceRegex table
+ * @param  {Null|Object} cache           Optional object built by the `buildRequestCache` function
+ * @return {Array}                       Objects with keys `service`, `position`, and `regex`, in the
+ *                                            order their templates were found
+ */
+async function getTeamsForRoleAndBlockInfo(db, thisDay, role, blockInfo, serviceRegexes, cache) {
+    const blockType = getBlockTypeFromBlockInfo(blockInfo),
+        date = thisDay.format(process.env.FORMAT_DATE),
+        sites = getDateTemplateServicesForRole(role),
+        [templates, ...dateTemplates] = await Promise.all([
+            // same cache key as the templates used to classify schedules
+            tryGetFromCache(cache, `templates:${role}:${blockType}`, () =>
+                db.getTemplatesForRoleAndBlockType(role, blockType ?? "Any")
+            ),
+            ...sites.map((service) => db.getDateTemplateForServiceAndDate(service, date)),
+        ]),
+        servicePositions = [
+            ...templates.map(({ service, position }) => ({ service, position })),
+            // the columns of a date template besides `service` and `date` are positions
+            ...sites.flatMap((service, i) =>
+                dateTemplates[i]
+                    ? Object.keys(dateTemplates[i])
+                          .filter((column) => column !== "service" && column !== "date")
+                          .map((position) => ({ service, position }))
+                    : [{ service, position: EXP_ANY_POSITION }]
+            ),
+        ],
+        teamByKey = new Map();
+    for (const { service, position } of servicePositions) {
+        const expressions = serviceRegexes
+            .filter((serviceRegex) => serviceRegex.service === service)
+            .map(({ expression }) => expression);
+        if (expressions.length === 0) {
+            continue; // reported by the integrity check
+        }
+        const hasPosition =
+                position !== EXP_ANY_POSITION &&
+                expressions.some((expression) =>
+                    expression.includes(process.env.EXP_PLACEHOLDER_POSITION)
+                ),
+            teamPosition = hasPosition ? position : null,
+            key = `${service}\n${teamPosition}`;
+        if (!teamByKey.has(key)) {
+            teamByKey.set(key, {
+                service,
+                position: teamPosition,
+                regex: tryBuildRegexForServices(
+                    expressions.map((expression) =>
+                        expression.replaceAll(process.env.EXP_PLACEHOLDER_POSITION, position)
+                    )
+                ),
+            });
+        }
+    }
+    return [...teamByKey.values()];
+}
+
+/**
+ * Gets the minimum staffing of each service from the optional `min_staffing` column of the
+ * ServiceRegex table, using the largest if a service has several expressions
+ * @param  {Array} serviceRegexes   Every row of the ServiceRegex table
+ * @return {Map}                    Keys are service names, values are numbers of people
+ */
+function getMinStaffingByService(serviceRegexes) {
+    const minStaffingByService = new Map();
+    for (const { service, min_staffing: minStaffing } of serviceRegexes) {
+        if (minStaffing != null && minStaffing !== "") {
+            minStaffingByService.set(
+                service,
+                Math.max(Number(minStaffing), minStaffingByService.get(service) ?? 0)
+            );
+        }
+    }
+    return minStaffingByService;
+}
+
+/**
+ * Count people by their status, where people who are likely not off are working
+ * @param  {Array} people   Objects with a `status` key, which is a CLASSIFICATION_KEY_* value
+ * @return {Object}         Object with keys `numWorking`, `numOff`, `numMaybeOff`, and `numOnLeave`
+ */
+function countPeopleByStatus(people) {
+    const countStatus = (status) => people.filter((person) => person.status === status).length;
+    return {
+        numWorking: countStatus(process.env.CLASSIFICATION_KEY_LIKELY_NOT_OFF),
+        numOff: countStatus(process.env.CLASSIFICATION_KEY_OFF),
+        numMaybeOff: countStatus(process.env.CLASSIFICATION_KEY_MAYBE_OFF),
+        numOnLeave: countStatus(process.env.CLASSIFICATION_KEY_ON_LEAVE),
+    };
+}
+
+/**
+ * Sort people alphabetically by their `name` key
+ * @param  {Array} people   Objects with a `name` key
+ * @return {Array}          New array sorted by name
+ */
+function sortPeopleByName(people) {
+    return [...people].sort(({ name: n1 }, { name: n2 }) => (n1 === n2 ? 0 : n1 > n2 ? 1 : -1));
+}
@@ -0,0 +1,78 @@
+import StatusError from "./status-error.js";
+
+/**
+ * Parse CSV text (RFC 4180) into row objects keyed by the trimmed header row. Supports quoted fields
+ * containing commas, line breaks, and escaped double quotes
+ * @param  {String} text  CSV text where the first row is the header row
+ * @return {Object}       Object with keys `columns` (array of column names) and `rows` (array of
+ *                            objects with column names as keys and trimmed cell values as values)
+ */
+export function parseCsv(text) {
+    const [header = [], ...records] = parseRecords(String(text ?? "").replace(/^\uFEFF/, "")),
+        columns = header.map((column) => column.trim());
+    if (columns.length === 0 || columns.every((column) => column === "")) {
+        throw new StatusError(400, "The CSV file must start with a header row");
+    }
+    const rows = records
+        // skip blank lines, which are commonly left at the end of exported spreadsheets
+        .filter((record) => record.some((cell) => cell.trim() !== ""))
+        .map((record) =>
+            columns.reduce(
+                (obj, column, i) => ((obj[column] = (record[i] ?? "").trim()), obj),
+                Object.create(null)
+            )
+        );
+    return { columns, rows };
+}
+
+// Helpers
+// -------
+
+/**
+ * Split CSV text into records, each of which is an array of untrimmed cell values
+ * @param  {String} text CSV text
+ * @return {Array}       Array of arrays of cell values
+ */
+function parseRecords(text) {
+    const records = [];
+    let record = [],
+        cell = "",
+        isQuoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const character = text[i];
+        if (isQuoted) {
+            if (character === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (character === '"') {
+                isQuoted = false;
+            } else {
+                cell += character;
+            }
+        } else if (character === '"') {
+            isQuoted = true;
+        } else if (character === ",") {
+            record.push(cell);
+            cell = "";
+        } else if (character === "\n" || character === "\r") {
+            // treat CRLF as a single line break
+            if (character === "\r" && text[i + 1] === "\n") {
+                i++;
+            }
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = "";
+        } else {
+            cell += character;
+        }
+    }
+    if (isQuoted) {
+        throw new StatusError(400, "The CSV file has a quoted field that is never closed");
+    }
+    if (cell !== "" || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+    }
+    return records;
+}
@@ -0,0 +1,31 @@
+/**
+ * Gets the date template sites, which are services whose off days are scheduled by calendar date
+ * in the DateTemplates table instead of by block day in the Templates table. Sites are configured
+ * in `DATE_TEMPLATE_SITES` as comma-separated `role:service` pairs, list a service more than once
+ * for it to apply to more than one role
+ * @return {Array}  Objects with keys `role` and `service`
+ */
+export function getDateTemplateSites() {
+    return (process.env.DATE_TEMPLATE_SITES ?? "")
+        .split(",")
+        .map((pair) => pair.trim())
+        .filter((pair) => pair.includes(":"))
+        .map((pair) => {
+            const separatorIndex = pair.indexOf(":");
+            return {
+                role: pair.slice(0, separatorIndex).trim(),
+                service: pair.slice(separatorIndex + 1).trim(),
+            };
+        });
+}
+
+/**
+ * Gets the services of the date template sites for a role
+ * @param  {String} role    Role (intern or resident)
+ * @return {Array}          Service names
+ */
+export function getDateTemplateServicesForRole(role) {
+    return getDateTemplateSites()
+        .filter((site) => site.role === role)
+        .map(({ service }) => service);
+}
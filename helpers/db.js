@@ -1,36 +1,58 @@
-import { QueryCommand, ScanCommand } from "@aws-sdk/lib-dynamodb";
 import { buildBlockInfo } from "./block-info.js";
+import { getDayRangeFromCache, tryGetFromCache } from "./cache.js";
+import { getDateTemplateServicesForRole } from "./date-template-sites.js";
 import { tryBuildRegexForServices } from "./regex.js";
-import StatusError from "./status-error.js";
+import {
+    getRoleDefinition,
+    getRoleDefinitionByRole,
+    getSubBlockLabelForBlockName,
+} from "./roles.js";
+import StatusError, {
+    ERROR_CODE_DATE_TEMPLATE_MISSING,
+    ERROR_CODE_DAY_PAST_BLOCK_LENGTH,
+    ERROR_CODE_NO_BLOCK_FOUND,
+} from "./status-error.js";
 
 /**
  * Gets basic information about a block given a date
- * @param  {DynamoDBDocumentClient} db      Db client
+ * @param  {Storage} db                     Storage built by `buildStorage`
  * @param  {DayJS} thisDay                  DayJS object
+ * @param  {Null|Object} cache              Optional object built by the `buildRequestCache` function
  * @return {Object}                         Keys are roles, values are BlockInfo objects with
- *                                               keys `blockName`, `isA`, and `dayNumber`
+ *                                               keys `blockName`, `blockType`, and `dayNumber`
  */
-export async function getBlockInfoByRoleForDate(db, thisDay) {
-    const params = {
-        TableName: process.env.TABLE_BLOCKS,
-        FilterExpression: "start_date <= :date And end_date >= :date",
-        ExpressionAttributeValues: {
-            ":date": thisDay.format(process.env.FORMAT_DATE),
-        },
-    };
-    const { Count: numBlocks, Items: blocks } = await db.send(new ScanCommand(params));
-    if (numBlocks === 0) {
-        throw new StatusError(404, "Could not find a schedule block for that date");
+export async function getBlockInfoByRoleForDate(db, thisDay, cache = null) {
+    const date = thisDay.format(process.env.FORMAT_DATE),
+        // if there is a cache, fetch the blocks for the entire date range at once
+        [allBlocks, roleDefinitionByRole] = await Promise.all([
+            tryGetFromCache(cache, "blocks", () =>
+                getBlocksForDateRange(db, ...getDayRangeFromCache(cache, thisDay))
+            ),
+            getRoleDefinitionByRole(db, cache),
+        ]),
+        blocks = allBlocks.filter(
+            ({ start_date: startDate, end_date: endDate }) => startDate <= date && endDate >= date
+        );
+    if (blocks.length === 0) {
+        throw new StatusError(
+            404,
+            "Could not find a schedule block for that date",
+            ERROR_CODE_NO_BLOCK_FOUND,
+            { date }
+        );
     }
-    // may return 0 to 2 blocks, if 2 blocks, then one wlll be resident and one will be intern
-    // The key of the block info is the actual role itself so we don't have to have knowledge
-    // of specific roles within this function
+    // returns at most one block per role. The key of the block info is the actual role itself so we
+    // don't have to have knowledge of specific roles within this function
     return blocks.reduce(
         (obj, thisBlock) => (
             (obj[thisBlock.role] = buildBlockInfo(
                 thisDay,
                 thisBlock?.block,
-                thisBlock?.start_date
+                thisBlock?.start_date,
+                getSubBlockLabelForBlockName(
+                    getRoleDefinition(roleDefinitionByRole, thisBlock.role),
+                    thisBlock?.block
+                )
             )),
             obj
         ),
@@ -40,180 +62,265 @@ export async function getBlockInfoByRoleForDate(db, thisDay) {
 
 /**
  * Gets schedule assignments for a given block name
- * @param  {DynamoDBDocumentClient} db      DB client
+ * @param  {Storage} db                     Storage built by `buildStorage`
  * @param  {String} role                    Role (intern or resident)
  * @param  {String} blockName               Block's name (e.g., 9A, 10B, etc)
+ * @param  {Null|Object} cache              Optional object built by the `buildRequestCache` function
  * @return {Object}                         Keys are names, values are objects with keys
  *                                               `SCHEDULE_KEY_ROLE` and` `SCHEDULE_KEY_ASSIGNMENT``
  */
-export async function getSchedulesForRoleAndBlockName(db, role, blockName) {
-    const params = {
-        TableName: process.env.TABLE_SCHEDULES,
-        ExpressionAttributeNames: {
-            "#name": "name",
-            "#role": "role",
-            "#blockName": blockName,
-        },
-        FilterExpression: "#role = :role",
-        ExpressionAttributeValues: {
-            ":role": role,
-        },
-        ProjectionExpression: "#name,#blockName",
-    };
-    const { Items: schedules } = await db.send(new ScanCommand(params));
-    return schedules.reduce(
-        (obj, schedule) => (
-            (obj[schedule.name] = {
-                [process.env.SCHEDULE_KEY_ROLE]: role,
-                [process.env.SCHEDULE_KEY_ASSIGNMENT]: schedule[blockName],
-            }),
-            obj
-        ),
-        Object.create(null)
+export function getSchedulesForRoleAndBlockName(db, role, blockName, cache = null) {
+    return tryGetFromCache(cache, `schedules:${role}:${blockName}`, () =>
+        fetchSchedulesForRoleAndBlockName(db, role, blockName)
     );
 }
 
 /**
- * Get rotations that have a schedule off day for a given date
- * @param  {DynamoDBDocumentClient}  db        DB client
+ * Gets the full schedule for a person
+ * @param  {Storage} db                     Storage built by `buildStorage`
+ * @param  {String} name                    Person's name
+ * @return {Object}                         Object with keys `name`, `role`, and `assignmentByBlockName`
+ *                                               whose keys are block names (e.g., 9A, 10B) and values
+ *                                               are assignments
+ */
+export async function getScheduleForName(db, name) {
+    const schedule = await db.getScheduleForName(name);
+    if (!schedule) {
+        throw new StatusError(404, `Could not find a schedule for ${name}`);
+    }
+    // every column besides the name, role, and class year is a block name
+    const { name: _name, role, class_year: _classYear, ...assignmentByBlockName } = schedule;
+    return { name, role, assignmentByBlockName };
+}
+
+/**
+ * Gets the role for each of the given names, throwing if any of the names do not have a schedule
+ * @param  {Storage} db                     Storage built by `buildStorage`
+ * @param  {Array} names                    Names to look up
+ * @return {Object}                         Keys are names, values are roles (intern or resident)
+ */
+export async function getRoleByNameForNames(db, names) {
+    const schedules = await Promise.all(names.map((name) => db.getScheduleForName(name))),
+        roleByName = Object.create(null);
+    for (const schedule of schedules) {
+        if (schedule) {
+            roleByName[schedule.name] = schedule.role;
+        }
+    }
+    const unknownNames = names.filter((name) => !(name in roleByName));
+    if (unknownNames.length > 0) {
+        throw new StatusError(404, `Could not find schedules for: ${unknownNames.join(", ")}`);
+    }
+    return roleByName;
+}
+
+/**
+ * Get rotations that have a schedule off day for a given date, from both the block templates and the
+ * date templates of the sites configured for the role. Sites missing a date template for the date
+ * are skipped with a warning rather than failing the whole day, and so are the block templates when
+ * the day is past the role's `block_length` since the templates have no column for it
+ * @param  {Storage} db                        Storage built by `buildStorage`
  * @param  {DayJS}  thisDay                    DayJS date object
  * @param  {String} role                       Role (intern or resident)
- * @param  {Boolean} isA                       If the current block is an "A" or "B" block
+ * @param  {Null|String} blockType             Sub-block label of the current block (e.g., A, B)
  * @param  {Integer}  dayNumber                How many days into this block the current date is
- * @return {Object}                            Object with keys `CLASSIFICATION_KEY_OFF` and
+ * @param  {Null|Object} cache                 Optional object built by the `buildRequestCache` function
+ * @return {Object}                            Object with keys `rotationsByScheduled` (object with keys
+ *                                                    `CLASSIFICATION_KEY_OFF` and
  *                                                    `CLASSIFICATION_KEY_MAYBE_OFF`, values are objects
- *                                                    with key as service names and values as positions
+ *                                                    with key as service names and values as arrays of
+ *                                                    positions) and `warnings` (array of objects with
+ *                                                    keys `role`,
+ *                                                    `code`, `service`, and `message`)
  */
 export async function getRotationsByScheduledForRoleAndBlockInfo(
     db,
     thisDay,
     role,
-    isA,
-    dayNumber
+    blockType,
+    dayNumber,
+    cache = null
 ) {
-    const [rotationsByScheduled, bvOffRotations] = await Promise.all([
-        getOffAndMaybeOffRotationsForRole(db, role, isA, dayNumber),
-        // only check Bayview templates if a resident (NOT for interns)
-        role === process.env.ROLE_RESIDENT ? getBayviewOffRotations(db, thisDay) : null,
-    ]);
-    // Bayview doesn't have the `MAYBE` scheduled status so merge the Bayvew service/position object
-    // into the off rotations object obtained from the main templates API call
-    if (bvOffRotations) {
-        rotationsByScheduled[process.env.CLASSIFICATION_KEY_OFF] = {
-            ...rotationsByScheduled[process.env.CLASSIFICATION_KEY_OFF],
-            ...bvOffRotations,
-        };
+    const { blockLength } = getRoleDefinition(await getRoleDefinitionByRole(db, cache), role),
+        // a block in `Blocks` can be longer than the role's blocks, such as after a typo in its dates
+        isPastBlockLength = blockLength !== null && dayNumber > blockLength,
+        [rotationsByScheduled, ...siteRotationsByScheduled] = await Promise.all([
+            isPastBlockLength
+                ? {
+                      [process.env.CLASSIFICATION_KEY_OFF]: Object.create(null),
+                      [process.env.CLASSIFICATION_KEY_MAYBE_OFF]: Object.create(null),
+                  }
+                : getOffAndMaybeOffRotationsForRole(db, role, blockType, dayNumber, cache),
+            // only check the date templates of the sites configured for this role
+            ...getDateTemplateServicesForRole(role).map((service) =>
+                getDateTemplateRotationsForService(db, thisDay, service)
+            ),
+        ]),
+        warnings = isPastBlockLength
+            ? [
+                  {
+                      role,
+                      code: ERROR_CODE_DAY_PAST_BLOCK_LENGTH,
+                      service: null,
+                      message: `Day ${dayNumber} of the block is past the ${blockLength} day blocks of ${role}, so nobody is shown as off by the block templates`,
+                  },
+              ]
+            : [];
+    // merge each site's service/position objects into the rotations objects obtained from the main
+    // templates API call
+    for (const siteRotations of siteRotationsByScheduled) {
+        if (!siteRotations.rotationsByScheduled) {
+            warnings.push({ role, ...siteRotations.warning });
+            continue;
+        }
+        for (const [classificationKey, rotations] of Object.entries(
+            siteRotations.rotationsByScheduled
+        )) {
+            for (const [service, positions] of Object.entries(rotations)) {
+                rotationsByScheduled[classificationKey][service] = [
+                    ...(rotationsByScheduled[classificationKey][service] ?? []),
+                    ...positions,
+                ];
+            }
+        }
     }
-    return rotationsByScheduled;
+    return { rotationsByScheduled, warnings };
 }
 
 /**
- * Get the regular expressions corresponding to the categories we will eventually return
- * @param  {DynamoDBDocumentClient} db           DB client
+ * Get the regular expressions corresponding to the categories we will eventually return, one per
+ * service and position so that it is possible to tell which template an assignment matched
+ * @param  {Storage} db                          Storage built by `buildStorage`
  * @param  {Object} rotationsByScheduled         Rotations by scheduled status (off, maybeOff), keys are
  *                                                    `CLASSIFICATION_KEY_OFF` and
  *                                                    `CLASSIFICATION_KEY_MAYBE_OFF`, values are objects
- *                                                    with key as service names and values as positions
+ *                                                    with key as service names and values as arrays of
+ *                                                    positions
+ * @param  {Null|Object} cache                   Optional object built by the `buildRequestCache` function
  * @return {Object}                              Keys are categories that the return object should mirror,
- *                                                    values are RegExps that should be used to test
- *                                                    assignments to determine whether an intern or resident
- *                                                    should be grouped into the `key` category
+ *                                                    values are arrays of objects with keys `service`,
+ *                                                    `position`, `scheduled` (`SCHEDULED_OFF` or
+ *                                                    `SCHEDULED_MAYBE_OFF`), `expression` (with
+ *                                                    placeholders replaced), and `regex` (RegExp that
+ *                                                    should be used to test assignments to determine
+ *                                                    whether an intern or resident should be grouped
+ *                                                    into the `key` category)
  */
-export async function getRegexForRotationsByScheduled(db, rotationsByScheduled) {
+export async function getRegexForRotationsByScheduled(db, rotationsByScheduled, cache = null) {
     // Pool together the service names from both `off` and `maybeOff`
     const offServices = Object.keys(rotationsByScheduled[process.env.CLASSIFICATION_KEY_OFF]),
         maybeOffServices = Object.keys(
             rotationsByScheduled[process.env.CLASSIFICATION_KEY_MAYBE_OFF]
         ),
-        serviceExpParams = [...offServices, ...maybeOffServices].reduce(
-            // One of the limitations of manually building out strings is that all keys used within
-            // the DynamoDB expressions have to manually-created distinct names
-            (obj, service, i) => ((obj[`:name${i}`] = service), obj),
-            Object.create(null)
-        ),
-        params = {
-            TableName: process.env.TABLE_SERVICE_REGEX,
-            FilterExpression: `service IN (${Object.keys(serviceExpParams).join(", ")})`,
-            ExpressionAttributeValues: serviceExpParams,
-        };
-    // run the built query
-    const { Items: serviceRegexObjs } = await db.send(new ScanCommand(params));
-    // build regular expressions by replacing expression placeholders in returned expression objects
-    const offExpArray = [],
-        maybeOffExpArray = [];
+        services = new Set([...offServices, ...maybeOffServices]),
+        // The service regex table is small and shared by every day so fetch all of it at once
+        serviceRegexObjs = (
+            await tryGetFromCache(cache, "serviceRegex", () => db.getServiceRegexes())
+        ).filter(({ service }) => services.has(service));
+    // build expressions by replacing expression placeholders in returned expression objects, once
+    // for each position of the service that is off or maybe off
+    const offRegexArray = [],
+        maybeOffRegexArray = [];
     for (const { service, expression } of serviceRegexObjs) {
-        const isMaybeOff = maybeOffServices.includes(service),
-            classificationKeyToUse = isMaybeOff
-                ? process.env.CLASSIFICATION_KEY_MAYBE_OFF
-                : process.env.CLASSIFICATION_KEY_OFF,
-            aggregator = isMaybeOff ? maybeOffExpArray : offExpArray;
-        aggregator.push(
-            expression.replaceAll(
-                process.env.EXP_PLACEHOLDER_POSITION,
-                rotationsByScheduled[classificationKeyToUse][service]
-            )
-        );
+        for (const [classificationKey, scheduled, aggregator] of [
+            [process.env.CLASSIFICATION_KEY_OFF, process.env.SCHEDULED_OFF, offRegexArray],
+            [
+                process.env.CLASSIFICATION_KEY_MAYBE_OFF,
+                process.env.SCHEDULED_MAYBE_OFF,
+                maybeOffRegexArray,
+            ],
+        ]) {
+            for (const position of rotationsByScheduled[classificationKey][service] ?? []) {
+                const filledExpression = expression.replaceAll(
+                    process.env.EXP_PLACEHOLDER_POSITION,
+                    position
+                );
+                aggregator.push({
+                    service,
+                    position,
+                    scheduled,
+                    expression: filledExpression,
+                    regex: tryBuildRegexForServices([filledExpression]),
+                });
+            }
+        }
     }
-    // return Object with keys from CLASSIFICATION_KEY_* and values that guaranteed to be non-null
-    // regular expressions, see https://stackoverflow.com/a/38340730
-    return Object.fromEntries(
-        Object.entries({
-            [process.env.CLASSIFICATION_KEY_OFF]: tryBuildRegexForServices(offExpArray),
-            [process.env.CLASSIFICATION_KEY_MAYBE_OFF]: tryBuildRegexForServices(maybeOffExpArray),
-        }).filter(([key, regexOrNull]) => regexOrNull != null)
-    );
+    return {
+        [process.env.CLASSIFICATION_KEY_OFF]: offRegexArray,
+        [process.env.CLASSIFICATION_KEY_MAYBE_OFF]: maybeOffRegexArray,
+    };
 }
 
 // Helpers
 // -------
 
 /**
- * Get rotations scheduled for an off day, except for Bayview rotations
- * @param  {DynamoDBDocumentClient}  db        DB client
+ * Gets all blocks that overlap with a given date range
+ * @param  {Storage} db                     Storage built by `buildStorage`
+ * @param  {DayJS} fromDay                  First day of the range
+ * @param  {DayJS} toDay                    Last day of the range
+ * @return {Array}                          Block objects with keys `role`, `block`, `start_date`,
+ *                                               and `end_date`
+ */
+async function getBlocksForDateRange(db, fromDay, toDay) {
+    return db.getBlocksForDateRange(
+        fromDay.format(process.env.FORMAT_DATE),
+        toDay.format(process.env.FORMAT_DATE)
+    );
+}
+
+/**
+ * Fetches schedule assignments for a given block name, see `getSchedulesForRoleAndBlockName`
+ * @param  {Storage} db                     Storage built by `buildStorage`
+ * @param  {String} role                    Role (intern or resident)
+ * @param  {String} blockName               Block's name (e.g., 9A, 10B, etc)
+ * @return {Object}                         Keys are names, values are objects with keys
+ *                                               `SCHEDULE_KEY_ROLE` and` `SCHEDULE_KEY_ASSIGNMENT``
+ */
+async function fetchSchedulesForRoleAndBlockName(db, role, blockName) {
+    const schedules = await db.getSchedulesForRoleAndBlockName(role, blockName);
+    return schedules.reduce(
+        (obj, schedule) => (
+            (obj[schedule.name] = {
+                [process.env.SCHEDULE_KEY_ROLE]: role,
+                [process.env.SCHEDULE_KEY_ASSIGNMENT]: schedule[blockName],
+            }),
+            obj
+        ),
+        Object.create(null)
+    );
+}
+
+/**
+ * Get rotations scheduled for an off day, except for date template site rotations
+ * @param  {Storage} db                        Storage built by `buildStorage`
  * @param  {String} role                       Role (intern or resident)
- * @param  {Boolean} isA                       If the current block is an "A" or "B" block
+ * @param  {Null|String} blockType             Sub-block label of the current block (e.g., A, B), null
+ *                                                    if the role does not split its blocks
  * @param  {Integer}  dayNumber                How many days into this block the current date is
+ * @param  {Null|Object} cache                 Optional object built by the `buildRequestCache` function
  * @return {Object}                            Object with keys `CLASSIFICATION_KEY_OFF` and
  *                                                    `CLASSIFICATION_KEY_MAYBE_OFF`, values are objects
- *                                                    with key as service names and values as positions
+ *                                                    with key as service names and values as arrays of
+ *                                                    positions
  */
-async function getOffAndMaybeOffRotationsForRole(db, role, isA, dayNumber) {
+async function getOffAndMaybeOffRotationsForRole(db, role, blockType, dayNumber, cache = null) {
     const dayNumberColumn = String(dayNumber),
-        params = {
-            TableName: process.env.TABLE_TEMPLATES,
-            ExpressionAttributeNames: {
-                "#service": "service",
-                "#position": "position",
-                "#role": "role",
-                "#scheduledForDayNumberOne": dayNumberColumn,
-                "#scheduledForDayNumberTwo": dayNumberColumn,
-                "#blockTypeOne": "block_type",
-                "#blockTypeTwo": "block_type",
-            },
-            FilterExpression:
-                "#role = :role And (#scheduledForDayNumberOne = :dayNumberOne Or #scheduledForDayNumberTwo = :dayNumberTwo) And (#blockTypeOne = :blockTypeOne Or #blockTypeTwo = :blockTypeTwo)",
-            ExpressionAttributeValues: {
-                ":role": role,
-                ":dayNumberOne": process.env.SCHEDULED_OFF,
-                ":dayNumberTwo": process.env.SCHEDULED_MAYBE_OFF,
-                ":blockTypeOne": "Any",
-                ":blockTypeTwo": isA ? "A" : "B",
-            },
-            // Doesn't matter if `scheduledForDayNumberOne` vs `scheduledForDayNumberTwo` since
-            // they both reference the same column name
-            ProjectionExpression: `#service,#position,#scheduledForDayNumberOne`,
-        };
-    const { Items: offOfMaybeOffRotations } = await db.send(new ScanCommand(params)),
-        // Keys are service name (e.g., The O, Brancati, CCU) and values are position (e.g., A, B, C, Any)
+        // Templates only vary by role and block type so each day of a block shares the same rows.
+        // Blocks without a sub-block label only use the templates that apply to `Any` block
+        templates = await tryGetFromCache(cache, `templates:${role}:${blockType}`, () =>
+            db.getTemplatesForRoleAndBlockType(role, blockType ?? "Any")
+        ),
+        // Keys are service name (e.g., The O, Brancati, CCU) and values are positions (e.g., A, B, C, Any)
         offRotations = Object.create(null),
         maybeOffRotations = Object.create(null);
-    // `rotationObj` is an object where the keys are the projection columns and values are the row values
-    for (const rotationObj of offOfMaybeOffRotations) {
-        const aggregator =
-            rotationObj[dayNumberColumn] === process.env.SCHEDULED_OFF
-                ? offRotations
-                : maybeOffRotations;
-        aggregator[rotationObj.service] = rotationObj.position;
+    // `rotationObj` is an object where the keys are the column names and values are the row values
+    for (const rotationObj of templates) {
+        if (rotationObj[dayNumberColumn] === process.env.SCHEDULED_OFF) {
+            addPosition(offRotations, rotationObj.service, rotationObj.position);
+        } else if (rotationObj[dayNumberColumn] === process.env.SCHEDULED_MAYBE_OFF) {
+            addPosition(maybeOffRotations, rotationObj.service, rotationObj.position);
+        }
     }
     return {
         [process.env.CLASSIFICATION_KEY_OFF]: offRotations,
@@ -222,39 +329,58 @@ async function getOffAndMaybeOffRotationsForRole(db, role, isA, dayNumber) {
 }
 
 /**
- * Get Bayview rotations scheduled for an off day
- * @param  {DynamoDBDocumentClient}  db        DB client
+ * Get the rotations of a date template site scheduled for an off day
+ * @param  {Storage} db                        Storage built by `buildStorage`
  * @param  {DayJS}  thisDay                    DayJS date object
- * @return {Object}                            Keys are service name (Bayview ICU),
- *                                                  values are position (e.g., 1, 2, 3)
+ * @param  {String} service                    Service name of the site (e.g., Bayview ICU)
+ * @return {Object}                            Object with either key `rotationsByScheduled` (object
+ *                                                  with keys `CLASSIFICATION_KEY_OFF` and
+ *                                                  `CLASSIFICATION_KEY_MAYBE_OFF`, values are objects
+ *                                                  with the service name as key and the positions
+ *                                                  as value) or, if there is no date template for the
+ *                                                  date, key `warning` (object with keys `code`,
+ *                                                  `service`, and `message`)
  */
-async function getBayviewOffRotations(db, thisDay) {
-    const params = {
-        TableName: process.env.TABLE_TEMPLATES_BV,
-        ExpressionAttributeNames: {
-            "#date": "date",
-        },
-        KeyConditionExpression: "#date = :date",
-        ExpressionAttributeValues: {
-            ":date": thisDay.format(process.env.FORMAT_DATE),
-        },
-    };
-    const { Count: numTemplatesFound, Items: templates } = await db.send(new QueryCommand(params));
-    if (numTemplatesFound === 0) {
-        throw new StatusError(404, "Could not find any Bayview schedules for given date");
+async function getDateTemplateRotationsForService(db, thisDay, service) {
+    const date = thisDay.format(process.env.FORMAT_DATE),
+        dateTemplate = await db.getDateTemplateForServiceAndDate(service, date);
+    if (!dateTemplate) {
+        return {
+            warning: {
+                code: ERROR_CODE_DATE_TEMPLATE_MISSING,
+                service,
+                message: `Could not find the ${service} template for ${date}, so nobody on ${service} is shown as off`,
+            },
+        };
     }
-    const bvTemplateForDay = templates[0],
-        // Keys are service name (Bayview ICU) and values are position (1, 2, 3)
-        bvOffRotations = Object.create(null);
-    // The variable `dateOrPositionKey` is because the keys in this object are the column names
-    // and in the schema the first column is the date and the subsequent columns are the positions
-    // So we first find the column that has an "OFF" value and then that column definitely is a
-    // position column NOT the date column
-    for (const dateOrPositionKey of Object.keys(bvTemplateForDay)) {
-        if (bvTemplateForDay[dateOrPositionKey] === process.env.SCHEDULED_OFF) {
-            // BCCU and BMICU have the exact same schedules for a given date
-            bvOffRotations[process.env.SERVICE_BAYVIEW_ICU] = dateOrPositionKey;
+    // Keys are service name (e.g., Bayview ICU) and values are positions (1, 2, 3), since more than
+    // one position can be off on the same date
+    const offRotations = Object.create(null),
+        maybeOffRotations = Object.create(null);
+    // The variable `positionKey` is because the keys in this object are the column names and in
+    // the schema the `service` and `date` columns are followed by the positions. Only the position
+    // columns have "OFF" or "MAYBE" values
+    for (const positionKey of Object.keys(dateTemplate)) {
+        if (dateTemplate[positionKey] === process.env.SCHEDULED_OFF) {
+            addPosition(offRotations, service, positionKey);
+        } else if (dateTemplate[positionKey] === process.env.SCHEDULED_MAYBE_OFF) {
+            addPosition(maybeOffRotations, service, positionKey);
         }
     }
-    return bvOffRotations;
+    return {
+        rotationsByScheduled: {
+            [process.env.CLASSIFICATION_KEY_OFF]: offRotations,
+            [process.env.CLASSIFICATION_KEY_MAYBE_OFF]: maybeOffRotations,
+        },
+    };
+}
+
+/**
+ * Add a position to the positions of a service that are off or maybe off
+ * @param  {Object} rotations   Keys are service names, values are arrays of positions
+ * @param  {String} service     Service name
+ * @param  {String} position    Position (e.g., A, B, 1, 2)
+ */
+function addPosition(rotations, service, position) {
+    rotations[service] = [...(rotations[service] ?? []), position];
 }
@@ -0,0 +1,161 @@
+import dayjs from "dayjs";
+import { buildRequestCache } from "./cache.js";
+import { buildDaysWithinBounds, isDateWithinBounds } from "./input.js";
+import { log } from "./logging.js";
+import { buildTransport } from "./notifications/index.js";
+import { findCommonOffDaysForNames } from "./output.js";
+import { getProgram } from "./programs.js";
+import { buildStorage } from "./storage/index.js";
+
+/**
+ * Build and send the digest of every subscription of every program, skipping subscriptions with no
+ * upcoming shared off days. Digests are sent one at a time and a failure to build or send one does
+ * not stop the others
+ * @param  {Storage} sharedDb           Storage built by `buildStorage` without a table prefix
+ * @param  {DayJS} today                DayJS date object, digests start the day after
+ * @return {Object}                     Object with keys `numSent`, `numSkipped`, and `failures`
+ *                                          (array of objects with keys `id` and `message`)
+ */
+export async function sendAllDigests(sharedDb, today) {
+    const subscriptions = await sharedDb.getAllItems(process.env.TABLE_SUBSCRIPTIONS),
+        programPromiseById = new Map(),
+        result = { numSent: 0, numSkipped: 0, failures: [] };
+    for (const subscription of subscriptions) {
+        try {
+            if (!programPromiseById.has(subscription.programId)) {
+                programPromiseById.set(
+                    subscription.programId,
+                    getProgram(sharedDb, subscription.programId)
+                );
+            }
+            const program = await programPromiseById.get(subscription.programId),
+                digest = await buildDigestForSubscription(program, subscription, today);
+            if (digest.days.length === 0) {
+                result.numSkipped++;
+                continue;
+            }
+            await buildTransport(subscription.transport).send(subscription, digest);
+            result.numSent++;
+        } catch (error) {
+            log("warn", "Could not send digest", { subscriptionId: subscription.id, error });
+            result.failures.push({ id: subscription.id, message: error.message });
+        }
+    }
+    return result;
+}
+
+/**
+ * Build the digest of the upcoming days (the next `DIGEST_DAYS_AHEAD` days of the academic year
+ * after today) when the subscriber and at least one of their friends are off. Friends who no longer
+ * have a schedule, such as after a new academic year starts, are left out
+ * @param  {Object} program             Object built by `getProgram`
+ * @param  {Object} subscription        Subscription item
+ * @param  {DayJS} today                DayJS date object, digests start the day after
+ * @return {Object}                     Object with keys `subject`, `text`, and `days` (array of
+ *                                          objects with keys `date`, `isMaybeOff` for whether the
+ *                                          subscriber is only maybe off, and the names of the
+ *                                          friends for the `CLASSIFICATION_KEY_OFF` and
+ *                                          `CLASSIFICATION_KEY_MAYBE_OFF` keys), earliest first
+ */
+export async function buildDigestForSubscription(program, subscription, today) {
+    const { name, friends, includeMaybeOff } = subscription,
+        numDaysAhead = Number(process.env.DIGEST_DAYS_AHEAD),
+        lastDay = today.add(numDaysAhead, "day"),
+        programYear = program.years.find((programYear) =>
+            isDateWithinBounds(today.add(1, "day"), programYear)
+        ),
+        days = programYear
+            ? buildDaysWithinBounds(programYear).filter(
+                  (thisDay) => thisDay.isAfter(today) && !thisDay.isAfter(lastDay)
+              )
+            : [],
+        digestDays = [];
+    if (days.length > 0) {
+        const db = buildStorage(programYear.tablePrefix),
+            roleByName = await getKnownRoleByName(db, [name, ...friends]);
+        if (name in roleByName && Object.keys(roleByName).length > 1) {
+            const commonOffDays = await findCommonOffDaysForNames(
+                db,
+                days,
+                roleByName,
+                2, // the subscriber and at least one friend
+                includeMaybeOff,
+                buildRequestCache(days[0], days[days.length - 1])
+            );
+            for (const commonOffDay of commonOffDays) {
+                const offNames = commonOffDay[process.env.CLASSIFICATION_KEY_OFF],
+                    maybeOffNames = includeMaybeOff
+                        ? commonOffDay[process.env.CLASSIFICATION_KEY_MAYBE_OFF]
+                        : [];
+                if (!offNames.includes(name) && !maybeOffNames.includes(name)) {
+                    continue; // only friends are off
+                }
+                digestDays.push({
+                    date: commonOffDay.date,
+                    isMaybeOff: !offNames.includes(name),
+                    [process.env.CLASSIFICATION_KEY_OFF]: offNames.filter((n) => n !== name),
+                    [process.env.CLASSIFICATION_KEY_MAYBE_OFF]: maybeOffNames.filter(
+                        (n) => n !== name
+                    ),
+                });
+            }
+        }
+    }
+    digestDays.sort((d1, d2) => (d1.date > d2.date ? 1 : -1));
+    return {
+        subject: `${digestDays.length} upcoming ${
+            digestDays.length === 1 ? "day" : "days"
+        } off with friends`,
+        text: buildDigestText(name, numDaysAhead, digestDays),
+        days: digestDays,
+    };
+}
+
+// Helpers
+// -------
+
+/**
+ * Gets the role for each of the given names that has a schedule
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {Array} names                Names to look up
+ * @return {Object}                     Keys are names, values are roles
+ */
+async function getKnownRoleByName(db, names) {
+    const schedules = await Promise.all(names.map((name) => db.getScheduleForName(name))),
+        roleByName = Object.create(null);
+    for (const schedule of schedules) {
+        if (schedule) {
+            roleByName[schedule.name] = schedule.role;
+        }
+    }
+    return roleByName;
+}
+
+/**
+ * Build the plain text body of a digest, one line per day
+ * @param  {String} name                Name of the subscriber
+ * @param  {Number} numDaysAhead        How many days the digest covers
+ * @param  {Array} digestDays           Days built by `buildDigestForSubscription`
+ * @return {String}                     Text of the digest
+ */
+function buildDigestText(name, numDaysAhead, digestDays) {
+    if (digestDays.length === 0) {
+        return `Hi ${name}, none of your friends are off on the same days as you in the next ${numDaysAhead} days.`;
+    }
+    const lines = digestDays.map((digestDay) => {
+        const friendNames = [
+            ...digestDay[process.env.CLASSIFICATION_KEY_OFF],
+            ...digestDay[process.env.CLASSIFICATION_KEY_MAYBE_OFF].map(
+                (friend) => `${friend} (maybe)`
+            ),
+        ];
+        return `${dayjs(digestDay.date).format("ddd, MMM D")}${
+            digestDay.isMaybeOff ? " (you are maybe off)" : ""
+        }: ${friendNames.join(", ")}`;
+    });
+    return [
+        `Hi ${name}, here are the days in the next ${numDaysAhead} days when you and your friends are off:`,
+        "",
+        ...lines,
+    ].join("\n");
+}
@@ -0,0 +1,54 @@
+import { log } from "./logging.js";
+import { buildError } from "./output.js";
+import StatusError, { ERROR_CODE_INTERNAL, ERROR_CODE_INVALID_REQUEST } from "./status-error.js";
+
+/**
+ * Wrap an async Express route handler so that errors it throws are passed on to `handleError`
+ * @param  {Function} handler   Async function that takes the request and response
+ * @return {Function}           Express route handler
+ */
+export function catchErrors(handler) {
+    return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+/**
+ * Express error middleware that responds with the error object built by `buildError`. Errors that
+ * are not a `StatusError` are unexpected, so they are logged and the response only says that
+ * something went wrong to avoid leaking internal details such as DynamoDB errors. Express only
+ * treats middleware with all four arguments as error middleware
+ * @param  {Error} error      Error thrown by a route or passed to `next`
+ * @param  {Request} req      Express request
+ * @param  {Response} res     Express response
+ * @param  {Function} next    Next middleware
+ */
+export function handleError(error, req, res, next) {
+    const statusError = error instanceof StatusError ? error : buildStatusError(error);
+    if (statusError.statusCode >= 500) {
+        log("error", "Unexpected error", { error });
+    }
+    res.status(statusError.statusCode).json(
+        buildError(statusError.code, statusError.message, statusError.details)
+    );
+}
+
+// Helpers
+// -------
+
+/**
+ * Build a `StatusError` from any other error, keeping the errors of the body parsing middleware
+ * since they describe a problem with the request
+ * @param  {Error} error      Error thrown by a route or passed to `next`
+ * @return {StatusError}      Error to respond with
+ */
+function buildStatusError(error) {
+    if (error.type === "entity.parse.failed") {
+        return new StatusError(400, "The request body is not valid JSON");
+    } else if (error.expose && error.statusCode >= 400 && error.statusCode < 500) {
+        return new StatusError(error.statusCode, error.message, ERROR_CODE_INVALID_REQUEST);
+    }
+    return new StatusError(
+        500,
+        "Something went wrong, please try again later",
+        ERROR_CODE_INTERNAL
+    );
+}
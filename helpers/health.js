@@ -0,0 +1,96 @@
+import { performance } from "perf_hooks";
+import { getHistoryTableNames } from "./changes.js";
+import { log } from "./logging.js";
+import { buildStorage } from "./storage/index.js";
+import { buildGetTableName } from "./storage/table-names.js";
+
+// How long a table has to respond before it is reported as unreachable
+const CHECK_TIMEOUT_MS = 3000;
+
+/**
+ * Check that the Programs table can be reached, since every request reads it first. This is all
+ * that is checked for the public `/health` route so that it makes a single storage call, see
+ * `buildHealthReport` for every table
+ * @param  {Storage} db     Storage built by `buildStorage` without a table prefix
+ * @return {Boolean}        Whether the Programs table can be reached
+ */
+export async function isStorageReachable(db) {
+    return (await checkTable(db, "", process.env.TABLE_PROGRAMS)).isReachable;
+}
+
+/**
+ * Check that every table of a program can be reached, which are the tables shared by every program
+ * and the tables of each of its academic years. Why a table could not be reached is logged rather
+ * than returned
+ * @param  {Storage} db         Storage built by `buildStorage` without a table prefix
+ * @param  {Object} program     Object built by `getProgram`
+ * @return {Object}             Object with keys `isHealthy` and `tables` (array of objects with
+ *                                  keys `tableName`, `isReachable`, and `durationMs`)
+ */
+export async function buildHealthReport(db, program) {
+    const sharedTableNames = [
+            process.env.TABLE_PROGRAMS,
+            process.env.TABLE_METADATA,
+            process.env.TABLE_LOGIN_ATTEMPTS,
+            process.env.TABLE_SUBSCRIPTIONS,
+        ],
+        tablePrefixes = [...new Set(program.years.map(({ tablePrefix }) => tablePrefix))],
+        tables = await Promise.all([
+            ...sharedTableNames.map((tableName) => checkTable(db, "", tableName)),
+            ...tablePrefixes.flatMap((tablePrefix) =>
+                [...getHistoryTableNames(), process.env.TABLE_CHANGES].map((tableName) =>
+                    checkTable(buildStorage(tablePrefix), tablePrefix, tableName)
+                )
+            ),
+        ]);
+    return { isHealthy: tables.every(({ isReachable }) => isReachable), tables };
+}
+
+// Helpers
+// -------
+
+/**
+ * Check that a table can be reached within `CHECK_TIMEOUT_MS`
+ * @param  {Storage} db             Storage built by `buildStorage` for the table prefix
+ * @param  {String} tablePrefix     Table prefix of the storage
+ * @param  {String} tableName       Table name from `serverless.yml`
+ * @return {Object}                 Object with keys `tableName` (the actual name of the table),
+ *                                      `isReachable`, and `durationMs`
+ */
+async function checkTable(db, tablePrefix, tableName) {
+    const startedAt = performance.now();
+    let timeoutId;
+    try {
+        await Promise.race([
+            db.checkTable(tableName),
+            new Promise((resolve, reject) => {
+                timeoutId = setTimeout(
+                    () => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS} ms`)),
+                    CHECK_TIMEOUT_MS
+                );
+            }),
+        ]);
+        return buildTableCheck(tablePrefix, tableName, true, startedAt);
+    } catch (error) {
+        log("error", "Could not reach table", { tablePrefix, tableName, error });
+        return buildTableCheck(tablePrefix, tableName, false, startedAt);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Build the result of checking a table
+ * @param  {String} tablePrefix     Table prefix of the table
+ * @param  {String} tableName       Table name from `serverless.yml`
+ * @param  {Boolean} isReachable    Whether the table could be reached
+ * @param  {Number} startedAt       When the check started, from `performance.now()`
+ * @return {Object}                 See `checkTable`
+ */
+function buildTableCheck(tablePrefix, tableName, isReachable, startedAt) {
+    return {
+        tableName: buildGetTableName(tablePrefix)(tableName),
+        isReachable,
+        durationMs: Math.round(performance.now() - startedAt),
+    };
+}
@@ -0,0 +1,111 @@
+import { createHash } from "crypto";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+
+dayjs.extend(utc);
+
+// RFC 5545 requires lines to be separated by CRLF and folded if longer than 75 octets
+const LINE_BREAK = "\r\n",
+    MAX_LINE_OCTETS = 75,
+    FORMAT_ICAL_DATE = "YYYYMMDD",
+    FORMAT_ICAL_DATE_TIME = "YYYYMMDD[T]HHmmss[Z]";
+
+/**
+ * Build an iCalendar (RFC 5545) calendar containing all-day events
+ * @param  {String} calendarName  Name of the calendar shown by calendar apps
+ * @param  {Array} events         Objects built by the `buildAllDayEvent` function
+ * @return {String}               Calendar in the iCalendar format
+ */
+export function buildCalendar(calendarName, events) {
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//Coresident Off Days//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeText(calendarName)}`,
+    ];
+    // All events in the same feed share the same timestamp of when the feed was generated
+    const timestamp = dayjs().utc().format(FORMAT_ICAL_DATE_TIME);
+    for (const { uid, day, summary, description, isTentative } of events) {
+        lines.push(
+            "BEGIN:VEVENT",
+            `UID:${uid}`,
+            `DTSTAMP:${timestamp}`,
+            `DTSTART;VALUE=DATE:${day.format(FORMAT_ICAL_DATE)}`,
+            // The end date of an all-day event is EXCLUSIVE
+            `DTEND;VALUE=DATE:${day.add(1, "day").format(FORMAT_ICAL_DATE)}`,
+            `SUMMARY:${escapeText(summary)}`,
+            `DESCRIPTION:${escapeText(description)}`,
+            `STATUS:${isTentative ? "TENTATIVE" : "CONFIRMED"}`,
+            // Off days should not show the person as busy
+            "TRANSP:TRANSPARENT",
+            "END:VEVENT"
+        );
+    }
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join(LINE_BREAK) + LINE_BREAK;
+}
+
+/**
+ * Build an all-day event object
+ * @param  {Array} uidParts       Parts that together uniquely and stably identify this event so that
+ *                                    re-subscribing to a feed does not duplicate events
+ * @param  {DayJS} day            DayJS object for the day of the event
+ * @param  {String} summary       Title of the event
+ * @param  {String} description   Longer description of the event
+ * @param  {Boolean} isTentative  Whether the event is tentative rather than confirmed
+ * @return {Object}               Event object to pass to the `buildCalendar` function
+ */
+export function buildAllDayEvent(uidParts, day, summary, description, isTentative) {
+    const hash = createHash("sha1").update(uidParts.join("\n")).digest("hex");
+    return {
+        uid: `${day.format(FORMAT_ICAL_DATE)}-${hash}@coresident-off-days`,
+        day,
+        summary,
+        description,
+        isTentative,
+    };
+}
+
+// Helpers
+// -------
+
+/**
+ * Escape characters that have special meaning in iCalendar text values
+ * @param  {String} text Text to escape
+ * @return {String}      Escaped text
+ */
+function escapeText(text) {
+    return String(text ?? "")
+        .replaceAll("\\", "\\\\")
+        .replaceAll(";", "\\;")
+        .replaceAll(",", "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold lines longer than 75 octets by splitting them and starting continuation lines with a space,
+ * making sure not to split multi-byte characters
+ * @param  {String} line Unfolded content line
+ * @return {String}      Folded content line
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = "",
+        currentOctets = 0;
+    for (const character of line) {
+        const numOctets = Buffer.byteLength(character),
+            // continuation lines start with a space which counts towards the limit
+            maxOctets = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (currentOctets + numOctets > maxOctets) {
+            parts.push(current);
+            current = "";
+            currentOctets = 0;
+        }
+        current += character;
+        currentOctets += numOctets;
+    }
+    parts.push(current);
+    return parts.join(`${LINE_BREAK} `);
+}
@@ -0,0 +1,429 @@
+import dayjs from "dayjs";
+import { buildItemId, recordChanges } from "./changes.js";
+import { parseCsv } from "./csv.js";
+import { getDateTemplateSites } from "./date-template-sites.js";
+import { tryBuildRegexForServices } from "./regex.js";
+import { getRoleDefinitionByRole } from "./roles.js";
+import StatusError from "./status-error.js";
+
+// Templates have one column per day of the block, up to the role's block length. A DynamoDB table can
+// only have a partition key and a sort key, so the sort key of Templates combines the other columns
+// that make a template unique
+const TEMPLATE_KEY_COLUMNS = ["role", "service", "position", "block_type"],
+    TEMPLATE_SORT_KEY = "template_key",
+    TEMPLATE_BLOCK_TYPE_ANY = "Any",
+    MAX_ERRORS_SHOWN = 10;
+
+// Keys are the table names used in the import URL, values describe how to validate the CSV file.
+// Specs with `loadContext` get its result passed to `validateRow` and `validateRows`, and specs with
+// `addKeyAttributes` build key attributes that are not columns of the file
+const IMPORT_SPECS = {
+    roles: {
+        getTableName: () => process.env.TABLE_ROLES,
+        requiredColumns: ["role", "block_length"],
+        validateRow: (row) =>
+            /^[1-9]\d*$/.test(row.block_length)
+                ? []
+                : ["`block_length` must be a whole number of days"],
+    },
+    blocks: {
+        getTableName: () => process.env.TABLE_BLOCKS,
+        requiredColumns: ["role", "block", "start_date", "end_date"],
+        loadContext: (db) => getRoleDefinitionByRole(db),
+        validateRow: (row, roleDefinitionByRole) => [
+            ...validateRole(row, roleDefinitionByRole),
+            ...validateDates(row, ["start_date", "end_date"]),
+            ...(row.start_date > row.end_date ? ["`start_date` is after `end_date`"] : []),
+        ],
+        validateRows: validateBlocksDoNotOverlap,
+    },
+    schedules: {
+        getTableName: () => process.env.TABLE_SCHEDULES,
+        requiredColumns: ["name", "role"],
+        // every other column besides the optional `class_year` is a block name, which must be a
+        // block in the `Blocks` table
+        validateColumns: async (db, columns) => {
+            const blockNames = await getAllBlockNames(db);
+            return columns
+                .filter((column) => !["name", "role", "class_year"].includes(column))
+                .filter((column) => !blockNames.has(column))
+                .map((column) => `Column \`${column}\` is not a block in the Blocks table`);
+        },
+    },
+    templates: {
+        getTableName: () => process.env.TABLE_TEMPLATES,
+        requiredColumns: TEMPLATE_KEY_COLUMNS,
+        loadContext: (db) => getRoleDefinitionByRole(db),
+        // every other column is a day number of the block, and the sort key is built from the other
+        // key columns so files exported from the table can be imported as is
+        validateColumns: async (db, columns) =>
+            columns
+                .filter((column) => ![...TEMPLATE_KEY_COLUMNS, TEMPLATE_SORT_KEY].includes(column))
+                .filter((column) => !/^[1-9]\d*$/.test(column))
+                .map((column) => `Column \`${column}\` is not a day number of the block`),
+        validateRow: validateTemplateRow,
+        validateRows: validateTemplatesHaveEveryDay,
+        addKeyAttributes: (item) => ({
+            ...item,
+            [TEMPLATE_SORT_KEY]: `${item.block_type}#${item.service}#${item.position}`,
+        }),
+    },
+    "date-templates": {
+        getTableName: () => process.env.TABLE_DATE_TEMPLATES,
+        requiredColumns: ["service", "date"],
+        validateRow: (row) => {
+            const services = getDateTemplateSites().map(({ service }) => service);
+            return [
+                ...validateDates(row, ["date"]),
+                ...(services.includes(row.service)
+                    ? []
+                    : [
+                          `\`service\` must be one of the date template sites: ${services.join(
+                              ", "
+                          )}`,
+                      ]),
+            ];
+        },
+    },
+    "service-regex": {
+        getTableName: () => process.env.TABLE_SERVICE_REGEX,
+        requiredColumns: ["service", "expression"],
+        validateRow: (row) => {
+            if (row.min_staffing && !/^\d+$/.test(row.min_staffing)) {
+                return ["`min_staffing` must be a whole number of people"];
+            }
+            try {
+                // the position placeholder is filled in with a sample position to check it compiles
+                tryBuildRegexForServices([
+                    row.expression.replaceAll(process.env.EXP_PLACEHOLDER_POSITION, "A"),
+                ]);
+                return [];
+            } catch (error) {
+                return [`\`expression\` is not a valid regular expression: ${error.message}`];
+            }
+        },
+    },
+};
+
+/**
+ * Names of the tables that can be imported
+ * @return {Array}  Table names as used in the import URL
+ */
+export function getImportTableNames() {
+    return Object.keys(IMPORT_SPECS);
+}
+
+/**
+ * Validate a CSV file and compare it against a table's current contents, optionally writing it
+ * @param  {Storage} db                     Storage built by `buildStorage`
+ * @param  {String} importTableName         One of the names returned by `getImportTableNames`
+ * @param  {String} csvText                 CSV text where the first row is the header row
+ * @param  {Boolean} shouldWrite            If false, only previews the changes
+ * @param  {Boolean} shouldDeleteMissing    Whether rows in the table that are missing from the CSV
+ *                                              file should be deleted
+ * @param  {String} changedBy               Cohort of the token used to make the changes, which are
+ *                                              recorded when written, see `recordChanges`
+ * @return {Object}                         Summary with keys `table`, `isWritten`, `numRows`, `added`,
+ *                                              `changed`, `numUnchanged`, `missingFromFile`, and
+ *                                              `isMissingDeleted`, where `added`, `changed`, and
+ *                                              `missingFromFile` are arrays of row ids
+ */
+export async function importCsvIntoTable(
+    db,
+    importTableName,
+    csvText,
+    shouldWrite,
+    shouldDeleteMissing,
+    changedBy
+) {
+    const spec = IMPORT_SPECS[importTableName];
+    if (!spec) {
+        throw new StatusError(
+            404,
+            `Can only import the following tables: ${getImportTableNames().join(", ")}`
+        );
+    }
+    const tableName = spec.getTableName(),
+        { columns, rows } = parseCsv(csvText);
+    await tryValidateCsv(db, spec, columns, rows);
+    const [keyAttributes, existingItems] = await Promise.all([
+            db.getKeyAttributes(tableName),
+            db.getAllItems(tableName),
+        ]),
+        items = rows
+            .map(buildItemFromRow)
+            .map((item) => (spec.addKeyAttributes ? spec.addKeyAttributes(item) : item)),
+        buildId = (item) => buildItemId(keyAttributes, item),
+        existingItemById = new Map(existingItems.map((item) => [buildId(item), item])),
+        itemIds = new Set(items.map(buildId));
+    if (itemIds.size < items.length) {
+        throw new StatusError(
+            400,
+            `Rows must be unique by ${keyAttributes.map((key) => `\`${key}\``).join(" and ")}`
+        );
+    }
+    const added = [],
+        changed = [],
+        itemChanges = [];
+    for (const item of items) {
+        const id = buildId(item),
+            existingItem = existingItemById.get(id);
+        if (!existingItem) {
+            added.push(id);
+            itemChanges.push({ itemId: id, before: null, after: item });
+        } else if (!isSameItem(existingItem, item)) {
+            changed.push(id);
+            itemChanges.push({ itemId: id, before: existingItem, after: item });
+        }
+    }
+    const missingItems = existingItems.filter((item) => !itemIds.has(buildId(item)));
+    if (shouldWrite) {
+        if (shouldDeleteMissing) {
+            itemChanges.push(
+                ...missingItems.map((item) => ({
+                    itemId: buildId(item),
+                    before: item,
+                    after: null,
+                }))
+            );
+        }
+        await recordChanges(db, tableName, itemChanges, changedBy);
+        await db.writeItems(
+            tableName,
+            items,
+            shouldDeleteMissing
+                ? missingItems.map((item) => pickAttributes(item, keyAttributes))
+                : []
+        );
+    }
+    return {
+        table: tableName,
+        isWritten: shouldWrite,
+        numRows: items.length,
+        added,
+        changed,
+        numUnchanged: items.length - added.length - changed.length,
+        missingFromFile: missingItems.map(buildId),
+        isMissingDeleted: shouldWrite && shouldDeleteMissing,
+        ...(importTableName === "blocks" ? { suggestedBounds: buildSuggestedBounds(items) } : {}),
+    };
+}
+
+// Helpers
+// -------
+
+/**
+ * Validate the columns and rows of a CSV file against an import spec, throwing a 400 error listing
+ * the problems found
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {Object} spec                One of the values in `IMPORT_SPECS`
+ * @param  {Array} columns              Column names from the header row
+ * @param  {Array} rows                 Row objects built by `parseCsv`
+ */
+async function tryValidateCsv(db, spec, columns, rows) {
+    const errors = spec.requiredColumns
+        .filter((column) => !columns.includes(column))
+        .map((column) => `Missing required column \`${column}\``);
+    if (spec.validateColumns) {
+        errors.push(...(await spec.validateColumns(db, columns)));
+    }
+    const context = spec.loadContext ? await spec.loadContext(db) : null;
+    // only validate rows if the columns are correct, otherwise every row will have errors
+    if (errors.length === 0) {
+        rows.forEach((row, i) => {
+            // row numbers are 1-indexed and the header row is row 1
+            const rowNumber = i + 2,
+                rowErrors = spec.requiredColumns
+                    .filter((column) => row[column] === "")
+                    .map((column) => `\`${column}\` is required`);
+            if (rowErrors.length === 0 && spec.validateRow) {
+                rowErrors.push(...spec.validateRow(row, context));
+            }
+            errors.push(...rowErrors.map((error) => `Row ${rowNumber}: ${error}`));
+        });
+    }
+    if (errors.length === 0 && spec.validateRows) {
+        errors.push(...spec.validateRows(rows, context));
+    }
+    if (rows.length === 0) {
+        errors.push("The CSV file does not have any rows");
+    }
+    if (errors.length > 0) {
+        const numHidden = errors.length - MAX_ERRORS_SHOWN;
+        throw new StatusError(
+            400,
+            errors.slice(0, MAX_ERRORS_SHOWN).join("; ") +
+                (numHidden > 0 ? `; and ${numHidden} more problems` : "")
+        );
+    }
+}
+
+/**
+ * Validate that the given columns of a row are dates in the standard format
+ * @param  {Object} row     Row object built by `parseCsv`
+ * @param  {Array} columns  Names of the date columns
+ * @return {Array}          Error messages
+ */
+function validateDates(row, columns) {
+    return columns
+        .filter(
+            (column) =>
+                dayjs(row[column]).format(process.env.FORMAT_DATE) !== row[column] ||
+                !dayjs(row[column]).isValid()
+        )
+        .map((column) => `\`${column}\` must be a date formatted as ${process.env.FORMAT_DATE}`);
+}
+
+/**
+ * Validate that the role of a row is defined in the Roles table
+ * @param  {Object} row                     Row object built by `parseCsv`
+ * @param  {Object} roleDefinitionByRole    Object built by `getRoleDefinitionByRole`
+ * @return {Array}                          Error messages
+ */
+function validateRole(row, roleDefinitionByRole) {
+    return row.role in roleDefinitionByRole
+        ? []
+        : [`\`role\` ${row.role} is not in the Roles table, import it with \`roles\` first`];
+}
+
+/**
+ * Validate that a template is for a defined role, that its `block_type` is one of the role's
+ * sub-block labels, and that it does not have values for days past the end of the role's blocks
+ * @param  {Object} row                     Row object built by `parseCsv`
+ * @param  {Object} roleDefinitionByRole    Object built by `getRoleDefinitionByRole`
+ * @return {Array}                          Error messages
+ */
+function validateTemplateRow(row, roleDefinitionByRole) {
+    const roleErrors = validateRole(row, roleDefinitionByRole);
+    if (roleErrors.length > 0) {
+        return roleErrors;
+    }
+    const { blockLength, subBlockLabels } = roleDefinitionByRole[row.role],
+        blockTypes = [TEMPLATE_BLOCK_TYPE_ANY, ...subBlockLabels],
+        errors = blockTypes.includes(row.block_type)
+            ? []
+            : [`\`block_type\` must be one of ${blockTypes.join(", ")}`];
+    if (blockLength) {
+        errors.push(
+            ...Object.keys(row)
+                .filter((column) => !TEMPLATE_KEY_COLUMNS.includes(column))
+                .filter((column) => Number(column) > blockLength && row[column] !== "")
+                .map(
+                    (column) =>
+                        `Column \`${column}\` is past the ${blockLength} day blocks of ${row.role}`
+                )
+        );
+    }
+    return errors;
+}
+
+/**
+ * Validate that there is a column for every day of the blocks of each role in the file
+ * @param  {Array} rows                     Row objects for the Templates table built by `parseCsv`
+ * @param  {Object} roleDefinitionByRole    Object built by `getRoleDefinitionByRole`
+ * @return {Array}                          Error messages
+ */
+function validateTemplatesHaveEveryDay(rows, roleDefinitionByRole) {
+    // every row has the same columns
+    const columns = new Set(Object.keys(rows[0] ?? {})),
+        errors = [];
+    for (const role of new Set(rows.map((row) => row.role))) {
+        const { blockLength } = roleDefinitionByRole[role],
+            missingColumns = Array.from({ length: blockLength ?? 0 }, (_, i) =>
+                String(i + 1)
+            ).filter((column) => !columns.has(column));
+        if (missingColumns.length > 0) {
+            errors.push(
+                `Missing columns ${missingColumns.join(
+                    ", "
+                )} for the ${blockLength} day blocks of ${role}`
+            );
+        }
+    }
+    return errors;
+}
+
+/**
+ * Validate that blocks for the same role do not overlap, otherwise a date would belong to more than
+ * one block for a role
+ * @param  {Array} rows Row objects for the Blocks table built by `parseCsv`
+ * @return {Array}      Error messages
+ */
+function validateBlocksDoNotOverlap(rows) {
+    const errors = [],
+        sortedRows = [...rows].sort((r1, r2) =>
+            r1.role === r2.role
+                ? r1.start_date.localeCompare(r2.start_date)
+                : r1.role.localeCompare(r2.role)
+        );
+    for (let i = 1; i < sortedRows.length; i++) {
+        const previous = sortedRows[i - 1],
+            current = sortedRows[i];
+        if (previous.role === current.role && current.start_date <= previous.end_date) {
+            errors.push(
+                `${current.role} blocks ${previous.block} and ${current.block} have overlapping dates`
+            );
+        }
+    }
+    return errors;
+}
+
+/**
+ * Build the DynamoDB item for a row, leaving out empty cells
+ * @param  {Object} row Row object built by `parseCsv`
+ * @return {Object}     DynamoDB item
+ */
+function buildItemFromRow(row) {
+    return Object.fromEntries(Object.entries(row).filter(([column, value]) => value !== ""));
+}
+
+/**
+ * Whether two items have the same attributes and values
+ * @param  {Object} item1 DynamoDB item
+ * @param  {Object} item2 DynamoDB item
+ * @return {Boolean}      Whether the items are the same
+ */
+function isSameItem(item1, item2) {
+    const keys1 = Object.keys(item1),
+        keys2 = Object.keys(item2);
+    return keys1.length === keys2.length && keys1.every((key) => String(item1[key]) === item2[key]);
+}
+
+/**
+ * Only keep the given attributes of an item
+ * @param  {Object} item        DynamoDB item
+ * @param  {Array} attributes   Attributes to keep
+ * @return {Object}             New object with only the given attributes
+ */
+function pickAttributes(item, attributes) {
+    return Object.fromEntries(attributes.map((attribute) => [attribute, item[attribute]]));
+}
+
+/**
+ * Build the `min_date` and `max_date` values of the academic year in the Programs table that cover
+ * all of the imported blocks
+ * @param  {Array} items  DynamoDB items for the Blocks table
+ * @return {Object}       Object with keys `min_date` and `max_date`
+ */
+function buildSuggestedBounds(items) {
+    const startDates = items.map(({ start_date: startDate }) => startDate).sort(),
+        endDates = items.map(({ end_date: endDate }) => endDate).sort();
+    return {
+        // the min date is EXCLUSIVE so it is the day before the first block starts
+        min_date: `${dayjs(startDates[0])
+            .subtract(1, "day")
+            .format(process.env.FORMAT_DATE)}T00:00:00Z`,
+        // the max date is INCLUSIVE so it is the end of the day the last block ends
+        max_date: `${endDates[endDates.length - 1]}T23:59:59Z`,
+    };
+}
+
+/**
+ * Gets the names of all blocks in the Blocks table
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @return {Set}                        Block names
+ */
+async function getAllBlockNames(db) {
+    const blocks = await db.getAllItems(process.env.TABLE_BLOCKS);
+    return new Set(blocks.map(({ block }) => block));
+}
@@ -1,38 +1,144 @@
 import dayjs from "dayjs";
-import StatusError from "./status-error.js";
+import StatusError, { ERROR_CODE_DATE_OUT_OF_RANGE } from "./status-error.js";
 
 /**
  * Validate that the passed-in date is a valid date and that it falls within the minimum
- * and maximum allowed dates
- * @param  {Date} date  Date object
- * @return {DayJS}      Validated DayJS object
- */
-export function tryBuildDayFromDate(date) {
-    const day = dayjs(date).startOf("day"),
-        minDay = dayjs(process.env.BOUND_MIN_DATE),
-        maxDay = dayjs(process.env.BOUND_MAX_DATE),
-        displayFormat = process.env.FORMAT_DATE;
+ * and maximum allowed dates, dates outside of them are a `DATE_OUT_OF_RANGE` error whose details
+ * have the first and last allowed dates
+ * @param  {Date} date      Date object
+ * @param  {Object} bounds  Object with keys `minDate` (exclusive) and `maxDate` (inclusive), such as
+ *                              a program year from `getProgramYear`
+ * @return {DayJS}          Validated DayJS object
+ */
+export function tryBuildDayFromDate(date, bounds) {
+    const day = dayjs(date).startOf("day");
     if (!day.isValid()) {
         throw new StatusError(400, "The date is not valid");
-    } else if (day.isBefore(minDay) || day.isAfter(maxDay)) {
+    } else if (!isDayWithinBounds(day, bounds)) {
+        const minDate = humanReadableMinDate(bounds),
+            maxDate = dayjs(bounds.maxDate).format(process.env.FORMAT_DATE);
         throw new StatusError(
             400,
-            `The date must be between ${humanReadableMinDate()} and ${maxDay.format(
-                displayFormat
-            )}.`
+            `The date must be between ${minDate} and ${maxDate}.`,
+            ERROR_CODE_DATE_OUT_OF_RANGE,
+            { minDate, maxDate }
         );
     }
     return day;
 }
 
+/**
+ * Whether the passed-in date is a valid date that falls within the minimum and maximum allowed dates
+ * @param  {Date} date      Date object
+ * @param  {Object} bounds  Object with keys `minDate` (exclusive) and `maxDate` (inclusive)
+ * @return {Boolean}        Whether or not the date is allowed
+ */
+export function isDateWithinBounds(date, bounds) {
+    const day = dayjs(date).startOf("day");
+    return day.isValid() && isDayWithinBounds(day, bounds);
+}
+
+/**
+ * Validate that both dates of a date range are valid and within the minimum and maximum allowed
+ * dates, that the start of the range is not after its end, and that the range is at most
+ * `MAX_DATE_RANGE_DAYS` days long since each day is looked up separately
+ * @param  {String} fromDate  Start date of the range (inclusive)
+ * @param  {String} toDate    End date of the range (inclusive)
+ * @param  {Object} bounds    Object with keys `minDate` (exclusive) and `maxDate` (inclusive)
+ * @return {Array}            Validated DayJS objects, one for each day in the range
+ */
+export function tryBuildDaysFromDateRange(fromDate, toDate, bounds) {
+    if (!fromDate || !toDate) {
+        throw new StatusError(400, "Both a `from` date and a `to` date are required");
+    }
+    const fromDay = tryBuildDayFromDate(fromDate, bounds),
+        toDay = tryBuildDayFromDate(toDate, bounds);
+    if (fromDay.isAfter(toDay)) {
+        throw new StatusError(400, "The `from` date must not be after the `to` date");
+    }
+    const maxDays = Number(process.env.MAX_DATE_RANGE_DAYS);
+    if (toDay.diff(fromDay, "day") + 1 > maxDays) {
+        throw new StatusError(400, `The date range must be at most ${maxDays} days long`, null, {
+            maxDays,
+        });
+    }
+    const days = [];
+    for (let day = fromDay; !day.isAfter(toDay); day = day.add(1, "day")) {
+        days.push(day);
+    }
+    return days;
+}
+
+/**
+ * Build every day that falls within the minimum (exclusive) and maximum (inclusive) allowed dates
+ * @param  {Object} bounds  Object with keys `minDate` (exclusive) and `maxDate` (inclusive)
+ * @return {Array}          DayJS objects, one for each allowed day
+ */
+export function buildDaysWithinBounds(bounds) {
+    return tryBuildDaysFromDateRange(
+        humanReadableMinDate(bounds),
+        dayjs(bounds.maxDate).format(process.env.FORMAT_DATE),
+        bounds
+    );
+}
+
+/**
+ * Validate that the passed-in names are a non-empty array of non-empty strings
+ * @param  {Array} names  Names of people
+ * @return {Array}        Trimmed names with duplicates removed
+ */
+export function tryBuildNames(names) {
+    if (
+        !Array.isArray(names) ||
+        names.length === 0 ||
+        names.some((name) => typeof name !== "string" || name.trim() === "")
+    ) {
+        throw new StatusError(400, "At least one name is required and all names must be text");
+    }
+    return [...new Set(names.map((name) => name.trim()))];
+}
+
+/**
+ * Validate that the minimum number of people is a whole number between 1 and the number of people,
+ * defaulting to the number of people if not provided
+ * @param  {Null|Number} minCount   Minimum number of people
+ * @param  {Number} numPeople       Total number of people
+ * @return {Number}                 Validated minimum number of people
+ */
+export function tryBuildMinCount(minCount, numPeople) {
+    if (minCount == null) {
+        return numPeople;
+    }
+    const count = Number(minCount);
+    if (!Number.isInteger(count) || count < 1 || count > numPeople) {
+        throw new StatusError(
+            400,
+            `The minimum count must be a whole number from 1 to ${numPeople}`
+        );
+    }
+    return count;
+}
+
 // Helpers
 // -------
 
+/**
+ * Whether a day falls within the minimum and maximum allowed dates
+ * @param  {DayJS} day      Valid DayJS object at the start of the day
+ * @param  {Object} bounds  Object with keys `minDate` (exclusive) and `maxDate` (inclusive)
+ * @return {Boolean}        Whether or not the day is allowed
+ */
+function isDayWithinBounds(day, bounds) {
+    // compared by day since the bounds have times (e.g., the max date is at 23:59:59)
+    return day.isAfter(dayjs(bounds.minDate), "day") && !day.isAfter(dayjs(bounds.maxDate), "day");
+}
+
 /**
  * The min date is an exclusive date (meaning that the first available date is the date AFTER the min date).
  * This is confusing for humans, so we add 1 day and then format to our standard format `
- * @return {String} Formatted min-date in standard format
+ * @param  {Object} bounds  Object with keys `minDate` (exclusive) and `maxDate` (inclusive)
+ * @return {String}         Formatted min-date in standard format
  */
-function humanReadableMinDate() {
-    return dayjs(process.env.BOUND_MIN_DATE).add(1, "day").format(process.env.FORMAT_DATE);
+function humanReadableMinDate(bounds) {
+    return dayjs(bounds.minDate).add(1, "day").format(process.env.FORMAT_DATE);
 }
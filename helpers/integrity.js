@@ -0,0 +1,172 @@
+import { getDateTemplateSites } from "./date-template-sites.js";
+import { buildDaysWithinBounds } from "./input.js";
+import { tryBuildRegexForServices } from "./regex.js";
+
+/**
+ * Build a report of data problems that would otherwise cause people to be quietly classified as
+ * `CLASSIFICATION_KEY_LIKELY_NOT_OFF` or requests for some dates to fail
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {Object} programYear         Academic year from `getProgramYear`, whose date bounds are
+ *                                          checked for missing date templates
+ * @return {Object}                     Report with keys `unmatchedAssignments`, `missingAssignments`,
+ *                                          `servicesWithoutRegex`, `invalidExpressions`, and
+ *                                          `datesWithoutDateTemplates`, values are arrays
+ */
+export async function buildIntegrityReport(db, programYear) {
+    const [blocks, schedules, templates, dateTemplates, serviceRegexObjs] = await Promise.all([
+            db.getAllItems(process.env.TABLE_BLOCKS),
+            db.getAllItems(process.env.TABLE_SCHEDULES),
+            db.getAllItems(process.env.TABLE_TEMPLATES),
+            db.getAllItems(process.env.TABLE_DATE_TEMPLATES),
+            db.getAllItems(process.env.TABLE_SERVICE_REGEX),
+        ]),
+        positionsByServiceByRole = buildPositionsByServiceByRole(templates, dateTemplates),
+        { regexesByRole, invalidExpressions } = buildRegexesByRole(
+            positionsByServiceByRole,
+            serviceRegexObjs
+        ),
+        unmatchedAssignments = [],
+        missingAssignments = [];
+    // go through every block and every assignment for that block's role
+    for (const { role, block: blockName } of sortBlocks(blocks)) {
+        const regexes = regexesByRole[role] ?? [];
+        for (const schedule of schedules.filter((schedule) => schedule.role === role)) {
+            const assignment = schedule[blockName],
+                issue = { name: schedule.name, role, blockName, assignment };
+            if (!assignment) {
+                missingAssignments.push(issue);
+            } else if (!regexes.some((regex) => regex.test(assignment))) {
+                unmatchedAssignments.push(issue);
+            }
+        }
+    }
+    const servicesWithRegex = new Set(serviceRegexObjs.map(({ service }) => service)),
+        servicesWithoutRegex = Object.entries(positionsByServiceByRole).flatMap(
+            ([role, positionsByService]) =>
+                Object.keys(positionsByService)
+                    .filter((service) => !servicesWithRegex.has(service))
+                    .map((service) => ({ role, service }))
+        );
+    return {
+        unmatchedAssignments,
+        missingAssignments,
+        servicesWithoutRegex,
+        invalidExpressions,
+        datesWithoutDateTemplates: findDatesWithoutDateTemplates(
+            blocks,
+            dateTemplates,
+            programYear
+        ),
+    };
+}
+
+// Helpers
+// -------
+
+/**
+ * Gets every position that each service can be in for each role, which are the positions from the
+ * templates plus the positions of the date template sites
+ * @param  {Array} templates        All items in the Templates table
+ * @param  {Array} dateTemplates    All items in the DateTemplates table
+ * @return {Object}                 Keys are roles, values are objects with service names as keys
+ *                                      and Sets of positions as values
+ */
+function buildPositionsByServiceByRole(templates, dateTemplates) {
+    const positionsByServiceByRole = Object.create(null),
+        addPosition = (role, service, position) => {
+            positionsByServiceByRole[role] ??= Object.create(null);
+            (positionsByServiceByRole[role][service] ??= new Set()).add(position);
+        };
+    for (const { role, service, position } of templates) {
+        addPosition(role, service, position);
+    }
+    // a date template's columns besides `service` and `date` are positions, and apply to every
+    // role that is configured to use that site
+    for (const { role, service } of getDateTemplateSites()) {
+        for (const dateTemplate of dateTemplates.filter((item) => item.service === service)) {
+            for (const position of Object.keys(dateTemplate)) {
+                if (position !== "service" && position !== "date") {
+                    addPosition(role, service, position);
+                }
+            }
+        }
+    }
+    return positionsByServiceByRole;
+}
+
+/**
+ * Build every regular expression that could be used to classify assignments for each role by
+ * filling in every possible position, keeping track of the expressions that fail to compile
+ * @param  {Object} positionsByServiceByRole  Object built by `buildPositionsByServiceByRole`
+ * @param  {Array} serviceRegexObjs           All items in the ServiceRegex table
+ * @return {Object}                           Object with keys `regexesByRole` (keys are roles,
+ *                                                values are arrays of RegExps) and
+ *                                                `invalidExpressions` (array of objects with
+ *                                                keys `service`, `expression`, and `error`)
+ */
+function buildRegexesByRole(positionsByServiceByRole, serviceRegexObjs) {
+    const regexesByRole = Object.create(null),
+        invalidExpressionByKey = new Map();
+    for (const [role, positionsByService] of Object.entries(positionsByServiceByRole)) {
+        regexesByRole[role] = [];
+        for (const { service, expression } of serviceRegexObjs) {
+            for (const position of positionsByService[service] ?? []) {
+                try {
+                    regexesByRole[role].push(
+                        tryBuildRegexForServices([
+                            expression.replaceAll(process.env.EXP_PLACEHOLDER_POSITION, position),
+                        ])
+                    );
+                } catch (error) {
+                    invalidExpressionByKey.set(`${service}\n${expression}`, {
+                        service,
+                        expression,
+                        error: error.message,
+                    });
+                }
+            }
+        }
+    }
+    return { regexesByRole, invalidExpressions: [...invalidExpressionByKey.values()] };
+}
+
+/**
+ * Find the dates within the supported range where a role has a block but a date template site
+ * configured for that role has no template
+ * @param  {Array} blocks           All items in the Blocks table
+ * @param  {Array} dateTemplates    All items in the DateTemplates table
+ * @param  {Object} programYear     Academic year from `getProgramYear`
+ * @return {Array}                  Objects with keys `role`, `service`, and `date` (standard format)
+ */
+function findDatesWithoutDateTemplates(blocks, dateTemplates, programYear) {
+    const templateKeys = new Set(dateTemplates.map(({ service, date }) => `${service}\n${date}`)),
+        dates = buildDaysWithinBounds(programYear).map((day) =>
+            day.format(process.env.FORMAT_DATE)
+        );
+    return getDateTemplateSites().flatMap(({ role, service }) => {
+        const roleBlocks = blocks.filter((block) => block.role === role);
+        return dates
+            .filter(
+                (date) =>
+                    !templateKeys.has(`${service}\n${date}`) &&
+                    roleBlocks.some(
+                        ({ start_date: startDate, end_date: endDate }) =>
+                            startDate <= date && endDate >= date
+                    )
+            )
+            .map((date) => ({ role, service, date }));
+    });
+}
+
+/**
+ * Sort blocks by role and then by start date so that the report is in chronological order
+ * @param  {Array} blocks All items in the Blocks table
+ * @return {Array}        New array of sorted blocks
+ */
+function sortBlocks(blocks) {
+    return [...blocks].sort((b1, b2) =>
+        b1.role === b2.role
+            ? b1.start_date.localeCompare(b2.start_date)
+            : b1.role.localeCompare(b2.role)
+    );
+}
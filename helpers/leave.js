@@ -0,0 +1,255 @@
+import { randomUUID } from "crypto";
+import { getDayRangeFromCache, tryGetFromCache } from "./cache.js";
+import { recordChanges } from "./changes.js";
+import {
+    getBlockInfoByRoleForDate,
+    getScheduleForName,
+    getSchedulesForRoleAndBlockName,
+} from "./db.js";
+import { tryBuildDaysFromDateRange } from "./input.js";
+import StatusError from "./status-error.js";
+import { tryBuildNote } from "./validation.js";
+
+/**
+ * Gets a single leave range
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {String} id                  Leave id
+ * @return {Object}                     Leave item
+ */
+export async function getLeaveById(db, id) {
+    const leave = await db.getLeave(id);
+    if (!leave) {
+        throw new StatusError(404, "Could not find that leave");
+    }
+    return leave;
+}
+
+/**
+ * Validate and save a new leave range
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {Object} programYear         Academic year from `getProgramYear`, which bounds the dates
+ * @param  {Object} body                Request body, see `tryBuildLeaveFields`
+ * @param  {String} cohort              Cohort of the token used to make the change
+ * @return {Object}                     Saved leave item
+ */
+export async function createLeave(db, programYear, body, cohort) {
+    const now = new Date().toISOString(),
+        leave = {
+            id: randomUUID(),
+            ...(await tryBuildLeaveFields(db, programYear, body)),
+            createdAt: now,
+            createdBy: cohort,
+            updatedAt: now,
+            updatedBy: cohort,
+        };
+    await recordChanges(
+        db,
+        process.env.TABLE_LEAVE,
+        [{ itemId: leave.id, before: null, after: leave }],
+        cohort
+    );
+    await db.putLeave(leave);
+    return leave;
+}
+
+/**
+ * Validate and replace an existing leave range, keeping when and by whom it was created
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {Object} programYear         Academic year from `getProgramYear`, which bounds the dates
+ * @param  {String} id                  Leave id
+ * @param  {Object} body                Request body, see `tryBuildLeaveFields`
+ * @param  {String} cohort              Cohort of the token used to make the change
+ * @param  {Null|String} ownerCohort    Cohort that must have created the leave, or null for any
+ *                                          cohort, see `getOwnerCohort`
+ * @return {Object}                     Saved leave item
+ */
+export async function updateLeave(db, programYear, id, body, cohort, ownerCohort) {
+    const existingLeave = tryCheckLeaveOwner(await getLeaveById(db, id), ownerCohort),
+        { createdAt, createdBy } = existingLeave,
+        leave = {
+            id,
+            ...(await tryBuildLeaveFields(db, programYear, body)),
+            createdAt,
+            createdBy,
+            updatedAt: new Date().toISOString(),
+            updatedBy: cohort,
+        };
+    await recordChanges(
+        db,
+        process.env.TABLE_LEAVE,
+        [{ itemId: id, before: existingLeave, after: leave }],
+        cohort
+    );
+    await db.putLeave(leave);
+    return leave;
+}
+
+/**
+ * Delete an existing leave range
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {String} id                  Leave id
+ * @param  {String} cohort              Cohort of the token used to make the change
+ * @param  {Null|String} ownerCohort    Cohort that must have created the leave, or null for any
+ *                                          cohort, see `getOwnerCohort`
+ */
+export async function deleteLeave(db, id, cohort, ownerCohort) {
+    const existingLeave = tryCheckLeaveOwner(await getLeaveById(db, id), ownerCohort);
+    await recordChanges(
+        db,
+        process.env.TABLE_LEAVE,
+        [{ itemId: id, before: existingLeave, after: null }],
+        cohort
+    );
+    await db.deleteLeave(id);
+}
+
+/**
+ * Gets the leave ranges of a role that include a date
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {DayJS} thisDay              DayJS date object
+ * @param  {String} role                Role (intern or resident)
+ * @param  {Null|Object} cache          Optional object built by the `buildRequestCache` function
+ * @return {Array}                      Leave items
+ */
+export async function getLeaveForRoleAndDate(db, thisDay, role, cache = null) {
+    const date = thisDay.format(process.env.FORMAT_DATE),
+        // if there is a cache, fetch the leave for the entire date range at once
+        [fromDate, toDate] = getDayRangeFromCache(cache, thisDay).map((day) =>
+            day.format(process.env.FORMAT_DATE)
+        ),
+        leaves = await tryGetFromCache(cache, `leave:${role}`, () =>
+            db.getLeaveForRoleAndDateRange(role, fromDate, toDate)
+        );
+    return leaves.filter(
+        ({ start_date: startDate, end_date: endDate }) => startDate <= date && endDate >= date
+    );
+}
+
+/**
+ * Move people on leave into the `CLASSIFICATION_KEY_ON_LEAVE` classification key, regardless of
+ * what their assignment would otherwise be classified as
+ * @param  {Object} classifiedSchedules Keys are CLASSIFICATION_KEY_* (see `serverless.yml`), values
+ *                                          are arrays of objects with keys `name`, `role`, and
+ *                                          `assignment`
+ * @param  {Array} leaves               Objects built by the `getLeaveForRoleAndDate` function
+ * @return {Object}                     New object in the same format, schedules of people on leave
+ *                                          also have a `leave` key, see `buildLeaveSummary`
+ */
+export function applyLeaveToClassifiedSchedules(classifiedSchedules, leaves) {
+    const leaveByName = new Map(leaves.map((leave) => [leave.name, leave])),
+        result = Object.create(null);
+    result[process.env.CLASSIFICATION_KEY_ON_LEAVE] = [];
+    for (const [classificationKey, schedules] of Object.entries(classifiedSchedules)) {
+        result[classificationKey] ??= [];
+        for (const schedule of schedules) {
+            const leave = leaveByName.get(schedule.name);
+            if (leave) {
+                result[process.env.CLASSIFICATION_KEY_ON_LEAVE].push({
+                    ...schedule,
+                    leave: buildLeaveSummary(leave),
+                });
+            } else {
+                result[classificationKey].push(schedule);
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Build who is on leave for each day, along with the assignment they are away from
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {Array} days                 DayJS objects for each day
+ * @param  {Null|Object} cache          Optional object built by the `buildRequestCache` function
+ * @return {Array}                      Objects with keys `id`, `date`, and `CLASSIFICATION_KEY_ON_LEAVE`
+ *                                          whose value is an array of objects with keys `name`,
+ *                                          `role`, `blockName`, `assignment`, and `leave`, sorted
+ *                                          by name
+ */
+export async function buildLeaveForDays(db, days, cache = null) {
+    return Promise.all(
+        days.map(async (thisDay) => {
+            const blockInfoByRole = await getBlockInfoByRoleForDate(db, thisDay, cache),
+                onLeave = [];
+            for (const [role, { blockName }] of Object.entries(blockInfoByRole)) {
+                const leaves = await getLeaveForRoleAndDate(db, thisDay, role, cache);
+                if (leaves.length === 0) {
+                    continue;
+                }
+                const schedules = await getSchedulesForRoleAndBlockName(db, role, blockName, cache);
+                for (const leave of leaves) {
+                    onLeave.push({
+                        name: leave.name,
+                        role,
+                        blockName,
+                        assignment:
+                            schedules[leave.name]?.[process.env.SCHEDULE_KEY_ASSIGNMENT] ?? null,
+                        leave: buildLeaveSummary(leave),
+                    });
+                }
+            }
+            const date = thisDay.format(process.env.FORMAT_DATE);
+            return {
+                id: date,
+                date,
+                [process.env.CLASSIFICATION_KEY_ON_LEAVE]: onLeave.sort((l1, l2) =>
+                    l1.name === l2.name ? 0 : l1.name > l2.name ? 1 : -1
+                ),
+            };
+        })
+    );
+}
+
+// Helpers
+// -------
+
+/**
+ * Check that a leave range can be changed by a cohort, which must be the cohort that created it
+ * unless it is an admin cohort. Everyone can read leave, so this is forbidden rather than not found
+ * @param  {Object} leave               Leave item
+ * @param  {Null|String} ownerCohort    Cohort that must have created the leave, or null for any
+ *                                          cohort, see `getOwnerCohort`
+ * @return {Object}                     The same leave item
+ */
+function tryCheckLeaveOwner(leave, ownerCohort) {
+    if (ownerCohort !== null && leave.createdBy !== ownerCohort) {
+        throw new StatusError(
+            403,
+            "Only the cohort that created this leave or an admin can change it"
+        );
+    }
+    return leave;
+}
+
+/**
+ * Validate the fields of a leave range in a request body
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {Object} programYear         Academic year from `getProgramYear`, which bounds the dates
+ * @param  {Object} body                Object with keys `name`, `from` and `to` (first and last
+ *                                          days of leave, inclusive), and an optional `note`
+ * @return {Object}                     Leave fields
+ */
+async function tryBuildLeaveFields(db, programYear, body) {
+    if (typeof body?.name !== "string" || body.name.trim() === "") {
+        throw new StatusError(400, "A `name` is required");
+    }
+    const days = tryBuildDaysFromDateRange(body.from, body.to, programYear),
+        note = tryBuildNote(body.note),
+        { name, role } = await getScheduleForName(db, body.name.trim());
+    return {
+        name,
+        role,
+        start_date: days[0].format(process.env.FORMAT_DATE),
+        end_date: days[days.length - 1].format(process.env.FORMAT_DATE),
+        ...note,
+    };
+}
+
+/**
+ * Build the summary of a leave range that is shown next to a schedule
+ * @param  {Object} leave   Leave item
+ * @return {Object}         Object with keys `id`, `from`, `to`, and `note`
+ */
+function buildLeaveSummary({ id, start_date: startDate, end_date: endDate, note }) {
+    return { id, from: startDate, to: endDate, note };
+}
@@ -0,0 +1,141 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+import { performance } from "perf_hooks";
+import { buildMetrics } from "./metrics.js";
+
+// Levels in increasing order of severity, messages below `LOG_LEVEL` are not logged
+const LOG_LEVELS = ["debug", "info", "warn", "error"],
+    // request ids from the `X-Request-Id` header are only used if they look like one
+    EXP_REQUEST_ID = /^[\w-]{1,100}$/;
+
+// Context of the request or invocation being handled, which is kept across `await`s so that storage
+// calls deep in the helpers can be attributed to their request without passing it to every function
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Write a structured log as a single line of JSON, with the request id of the request being handled
+ * @param  {String} level       One of `debug`, `info`, `warn`, or `error`
+ * @param  {String} message     What happened
+ * @param  {Object} fields      Extra fields, where errors are logged with their name, message, and
+ *                                  stack
+ */
+export function log(level, message, fields = {}) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(getLogLevel())) {
+        return;
+    }
+    const entry = {
+        timestamp: new Date().toISOString(),
+        level,
+        message,
+        requestId: contextStorage.getStore()?.requestId ?? null,
+    };
+    for (const [key, value] of Object.entries(fields)) {
+        entry[key] =
+            value instanceof Error
+                ? { name: value.name, message: value.message, stack: value.stack }
+                : value;
+    }
+    console.log(JSON.stringify(entry));
+}
+
+/**
+ * Express middleware that gives each request an id and logs a summary of the request when the
+ * response is sent, along with metrics built by `buildMetrics`. The id comes from the `X-Request-Id`
+ * header, which `serverless-http` sets to the API Gateway request id, or is generated, and is sent
+ * back in the `X-Request-Id` header so that clients can refer to it
+ * @param  {Request} req      Express request
+ * @param  {Response} res     Express response
+ * @param  {Function} next    Next middleware
+ */
+export function logRequests(req, res, next) {
+    const headerRequestId = req.get("x-request-id"),
+        context = buildContext(
+            EXP_REQUEST_ID.test(headerRequestId ?? "") ? headerRequestId : randomUUID()
+        );
+    res.set("X-Request-Id", context.requestId);
+    res.on("finish", () => {
+        const durationMs = Math.round(performance.now() - context.startedAt),
+            // routes are logged by their pattern so that metrics are not split by date or name
+            route = req.route ? `${req.method} ${req.route.path}` : "unmatched";
+        contextStorage.run(context, () =>
+            log(res.statusCode >= 500 ? "error" : "info", "Handled request", {
+                method: req.method,
+                // without the query string, which can have a token
+                path: req.originalUrl.split("?")[0],
+                statusCode: res.statusCode,
+                programId: req.program?.id ?? null,
+                storage: context.storage,
+                ...buildMetrics({ Route: route }, [
+                    { name: "Requests", unit: "Count", value: 1 },
+                    { name: "Latency", unit: "Milliseconds", value: durationMs },
+                    {
+                        name: "ClientErrors",
+                        unit: "Count",
+                        value: res.statusCode >= 400 && res.statusCode < 500 ? 1 : 0,
+                    },
+                    { name: "Errors", unit: "Count", value: res.statusCode >= 500 ? 1 : 0 },
+                    { name: "StorageCalls", unit: "Count", value: context.storage.numCalls },
+                    {
+                        name: "StorageLatency",
+                        unit: "Milliseconds",
+                        value: context.storage.durationMs,
+                    },
+                ]),
+            })
+        );
+    });
+    contextStorage.run(context, next);
+}
+
+/**
+ * Run a function, such as a scheduled Lambda function, with its own request id in the logs
+ * @param  {String} requestId   Request id, such as the Lambda `awsRequestId`
+ * @param  {Function} fn        Function to run
+ * @return {*}                  What the function returns
+ */
+export function runWithRequestId(requestId, fn) {
+    return contextStorage.run(buildContext(requestId ?? randomUUID()), fn);
+}
+
+/**
+ * Record a call to a storage backend for the request being handled, which is logged on its own
+ * at the `debug` level and added to the request's totals
+ * @param  {Object} call        Object with keys `method`, `tablePrefix`, `table` (null if the
+ *                                  method is for a single table), `durationMs`, `numItems` (null
+ *                                  if the call does not return items), and `error` if it failed
+ */
+export function recordStorageCall(call) {
+    const storage = contextStorage.getStore()?.storage;
+    if (storage) {
+        storage.numCalls++;
+        storage.durationMs += call.durationMs;
+        storage.numItems += call.numItems ?? 0;
+        storage.numErrors += call.error ? 1 : 0;
+    }
+    log(call.error ? "warn" : "debug", "Called storage", call);
+}
+
+// Helpers
+// -------
+
+/**
+ * Build the context of a request or invocation
+ * @param  {String} requestId   Request id
+ * @return {Object}             Object with keys `requestId`, `startedAt`, and `storage` (totals of
+ *                                  the storage calls, see `recordStorageCall`)
+ */
+function buildContext(requestId) {
+    return {
+        requestId,
+        startedAt: performance.now(),
+        storage: { numCalls: 0, durationMs: 0, numItems: 0, numErrors: 0 },
+    };
+}
+
+/**
+ * Gets the minimum level of the messages to log from the `LOG_LEVEL` environment variable
+ * @return {String}     One of the `LOG_LEVELS`, `info` if not set or not valid
+ */
+function getLogLevel() {
+    return LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : "info";
+}
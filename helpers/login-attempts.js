@@ -0,0 +1,55 @@
+/**
+ * Gets how many more seconds a client is locked out of logging in for after too many failed attempts
+ * @param  {Storage} db                     Storage built by `buildStorage`
+ * @param  {String} clientKey               Key identifying the client (e.g., IP address)
+ * @return {Number}                         Seconds until the client can try again, 0 if not locked out
+ */
+export async function getLockoutSecondsForClient(db, clientKey) {
+    const attempts = await db.getLoginAttempts(clientKey),
+        now = nowInSeconds();
+    // expired attempts may not be deleted right away (e.g., by DynamoDB's time to live) so also check
+    // expiration
+    if (
+        !attempts ||
+        attempts.expires_at <= now ||
+        attempts.num_failed < Number(process.env.AUTH_MAX_FAILED_ATTEMPTS)
+    ) {
+        return 0;
+    }
+    return attempts.expires_at - now;
+}
+
+/**
+ * Record a failed login attempt for a client. Failed attempts are counted within a fixed window that
+ * starts with the first failed attempt
+ * @param  {Storage} db                     Storage built by `buildStorage`
+ * @param  {String} clientKey               Key identifying the client (e.g., IP address)
+ */
+export async function recordFailedLoginAttempt(db, clientKey) {
+    const now = nowInSeconds();
+    await db.addFailedLoginAttempt(
+        clientKey,
+        now,
+        now + Number(process.env.AUTH_FAILED_ATTEMPTS_WINDOW_SECONDS)
+    );
+}
+
+/**
+ * Clear failed login attempts for a client after a successful login
+ * @param  {Storage} db                     Storage built by `buildStorage`
+ * @param  {String} clientKey               Key identifying the client (e.g., IP address)
+ */
+export async function clearFailedLoginAttempts(db, clientKey) {
+    await db.deleteLoginAttempts(clientKey);
+}
+
+// Helpers
+// -------
+
+/**
+ * Current time as a Unix timestamp, which is the format DynamoDB's time to live expects
+ * @return {Number} Seconds since the Unix epoch
+ */
+function nowInSeconds() {
+    return Math.floor(Date.now() / 1000);
+}
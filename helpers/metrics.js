@@ -0,0 +1,27 @@
+/**
+ * Build the fields of a log that make it a CloudWatch embedded metric format (EMF) document, so that
+ * CloudWatch Logs, or the CloudWatch agent when collecting locally, turns the log into metrics in
+ * the `METRICS_NAMESPACE` namespace. Each metric is recorded both for the given dimensions and
+ * without any dimensions, for totals across routes
+ * @param  {Object} dimensions  Keys are dimension names, values are dimension values (e.g.,
+ *                                  `{ Route: "GET /schedule-status/:date" }`)
+ * @param  {Array} metrics      Objects with keys `name`, `unit` (e.g., `Count` or `Milliseconds`),
+ *                                  and `value`
+ * @return {Object}             Fields to add to a log built by `log`
+ */
+export function buildMetrics(dimensions, metrics) {
+    return {
+        _aws: {
+            Timestamp: Date.now(),
+            CloudWatchMetrics: [
+                {
+                    Namespace: process.env.METRICS_NAMESPACE,
+                    Dimensions: [Object.keys(dimensions), []],
+                    Metrics: metrics.map(({ name, unit }) => ({ Name: name, Unit: unit })),
+                },
+            ],
+        },
+        ...dimensions,
+        ...Object.fromEntries(metrics.map(({ name, value }) => [name, value])),
+    };
+}
@@ -0,0 +1,27 @@
+import { buildSmtpTransport } from "./smtp.js";
+import { buildWebhookTransport } from "./webhook.js";
+
+// Ways a subscription can have its digests delivered, see `buildTransport`
+export const TRANSPORT_EMAIL = "email",
+    TRANSPORT_WEBHOOK = "webhook";
+
+/**
+ * Build the transport that delivers messages for a subscription's `transport`, either `email` to
+ * send email through the SMTP server in the `SMTP_*` environment variables or `webhook` to POST
+ * JSON to a URL such as a Slack incoming webhook or a GroupMe bot.
+ *
+ * All transports return objects with an async `send(subscription, message)` method, where the
+ * subscription has the `address` to deliver to and the message has keys `subject` and `text`
+ * @param  {String} type    Transport type
+ * @return {Object}         Transport object
+ */
+export function buildTransport(type) {
+    switch (type) {
+        case TRANSPORT_EMAIL:
+            return buildSmtpTransport();
+        case TRANSPORT_WEBHOOK:
+            return buildWebhookTransport();
+        default:
+            throw new Error(`Unknown transport: ${type}`);
+    }
+}
@@ -0,0 +1,36 @@
+import nodemailer from "nodemailer";
+
+// SMTP servers are expected to reply well within the run time of the digest function
+const TIMEOUT_MILLISECONDS = 10000;
+
+/**
+ * Build a transport that sends email through the SMTP server in the `SMTP_HOST` and `SMTP_PORT`
+ * environment variables, from the `DIGEST_FROM_ADDRESS` address. Connects with TLS if
+ * `SMTP_SECURE` is `true`, otherwise upgrades the connection with STARTTLS if the server supports
+ * it. Logs in with `SMTP_USER` and `SMTP_PASSWORD` if set, which is only ever done over TLS
+ * @return {Object}     Transport object, see `buildTransport`
+ */
+export function buildSmtpTransport() {
+    const isSecure = process.env.SMTP_SECURE === "true",
+        user = process.env.SMTP_USER,
+        from = process.env.DIGEST_FROM_ADDRESS,
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT || (isSecure ? 465 : 587)),
+            secure: isSecure,
+            // fails instead of sending the password when the server does not support STARTTLS
+            requireTLS: Boolean(user),
+            auth: user ? { user, pass: process.env.SMTP_PASSWORD } : undefined,
+            connectionTimeout: TIMEOUT_MILLISECONDS,
+            greetingTimeout: TIMEOUT_MILLISECONDS,
+            socketTimeout: TIMEOUT_MILLISECONDS,
+        });
+    return {
+        send: async ({ address }, { subject, text }) => {
+            if (!process.env.SMTP_HOST || !from) {
+                throw new Error("SMTP_HOST and DIGEST_FROM_ADDRESS must be set to send email");
+            }
+            await transporter.sendMail({ from, to: address, subject, text });
+        },
+    };
+}
@@ -0,0 +1,159 @@
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+// Webhooks are expected to respond well within the run time of the digest function
+const TIMEOUT_MILLISECONDS = 10000,
+    // addresses that webhooks cannot reach, so that a subscription cannot make the function call
+    // hosts on its own network such as the instance metadata service at 169.254.169.254
+    PRIVATE_ADDRESSES = buildPrivateAddresses();
+
+/**
+ * Build a transport that POSTs messages as JSON to a subscription's webhook URL. The message is in
+ * the `text` field, which Slack incoming webhooks and GroupMe bots both post as is, along with the
+ * subscription's `webhookFields` (e.g., the `bot_id` that GroupMe requires)
+ * @return {Object}     Transport object, see `buildTransport`
+ */
+export function buildWebhookTransport() {
+    return {
+        send: ({ address, webhookFields }, { subject, text }) =>
+            postJson(address, { ...webhookFields, text: `${subject}\n\n${text}` }),
+    };
+}
+
+/**
+ * Whether a webhook URL can be used, which must be `https` and not for a private, loopback, or
+ * link-local host. Host names are checked again when they are resolved, see `lookupPublicAddress`.
+ * With `WEBHOOK_ALLOW_PRIVATE_HOSTS` set to `true` for local development, any `http` or `https` URL
+ * can be used
+ * @param  {URL} url    Webhook URL
+ * @return {Boolean}    Whether the URL can be used
+ */
+export function isWebhookUrlAllowed(url) {
+    if (isPrivateHostAllowed()) {
+        return ["http:", "https:"].includes(url.protocol);
+    }
+    // the host name of an IPv6 URL is in brackets
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, "$1").toLowerCase();
+    return (
+        url.protocol === "https:" &&
+        hostname !== "localhost" &&
+        !hostname.endsWith(".localhost") &&
+        !(net.isIP(hostname) && isPrivateAddress(hostname))
+    );
+}
+
+// Helpers
+// -------
+
+/**
+ * POST a JSON payload to a URL, failing if the response status is not 2xx. The URL is left out of
+ * errors since webhook URLs are secret
+ * @param  {String} url         URL allowed by `isWebhookUrlAllowed`
+ * @param  {Object} payload     JSON payload
+ */
+function postJson(url, payload) {
+    // subscriptions are checked when they are saved, but may have been saved under other rules
+    if (!isWebhookUrlAllowed(new URL(url))) {
+        return Promise.reject(new Error("The webhook URL is not allowed"));
+    }
+    const body = JSON.stringify(payload),
+        { request } = new URL(url).protocol === "https:" ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = request(
+            url,
+            {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "Content-Length": Buffer.byteLength(body),
+                },
+                timeout: TIMEOUT_MILLISECONDS,
+                lookup: lookupPublicAddress,
+            },
+            (res) => {
+                res.resume(); // the response body is not used
+                res.on("end", () => {
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        resolve();
+                    } else {
+                        reject(new Error(`The webhook responded with status ${res.statusCode}`));
+                    }
+                });
+            }
+        );
+        req.on("timeout", () => req.destroy(new Error("The webhook did not respond in time")));
+        req.on("error", reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Resolve a host name like `dns.lookup`, failing if it resolves to a private address. Used as the
+ * `lookup` of the request so that the address that is checked is the one that is connected to
+ * @param  {String} hostname    Host name
+ * @param  {Object} options     Options of `dns.lookup`
+ * @param  {Function} callback  Callback of `dns.lookup`
+ */
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        const addresses = Array.isArray(address) ? address : [{ address }];
+        if (
+            !error &&
+            !isPrivateHostAllowed() &&
+            addresses.some(({ address }) => isPrivateAddress(address))
+        ) {
+            callback(new Error("The webhook host resolves to a private address"));
+        } else {
+            callback(error, address, family);
+        }
+    });
+}
+
+/**
+ * Whether an IP address is private, loopback, link-local, or otherwise not on the public internet.
+ * IPv4 addresses mapped to IPv6 (e.g., ::ffff:127.0.0.1) are checked against the IPv4 ranges
+ * @param  {String} address     IPv4 or IPv6 address
+ * @return {Boolean}            Whether the address is not public
+ */
+function isPrivateAddress(address) {
+    return PRIVATE_ADDRESSES.check(address, net.isIPv4(address) ? "ipv4" : "ipv6");
+}
+
+/**
+ * Whether webhooks can be sent to private hosts, see `isWebhookUrlAllowed`
+ * @return {Boolean}    Whether `WEBHOOK_ALLOW_PRIVATE_HOSTS` is `true`
+ */
+function isPrivateHostAllowed() {
+    return process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === "true";
+}
+
+/**
+ * Build the list of address ranges that are not on the public internet
+ * @return {BlockList}  Address ranges
+ */
+function buildPrivateAddresses() {
+    const blockList = new net.BlockList();
+    for (const [network, prefix] of [
+        ["0.0.0.0", 8], // this network
+        ["10.0.0.0", 8], // private
+        ["100.64.0.0", 10], // carrier-grade NAT
+        ["127.0.0.0", 8], // loopback
+        ["169.254.0.0", 16], // link-local, including the instance metadata service
+        ["172.16.0.0", 12], // private
+        ["192.168.0.0", 16], // private
+        ["224.0.0.0", 3], // multicast and reserved
+    ]) {
+        blockList.addSubnet(network, prefix, "ipv4");
+    }
+    for (const [network, prefix] of [
+        ["::", 127], // unspecified and loopback
+        ["fc00::", 7], // unique local
+        ["fe80::", 10], // link-local
+        ["ff00::", 8], // multicast
+    ]) {
+        blockList.addSubnet(network, prefix, "ipv6");
+    }
+    return blockList;
+}
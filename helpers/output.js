@@ -1,47 +1,403 @@
+import dayjs from "dayjs";
 import {
+    buildLegacyBlockInfo,
     getBlockNameFromBlockInfo,
+    getBlockTypeFromBlockInfo,
     getDayNumberFromBlockInfo,
-    getIsAFromBlockInfo,
 } from "./block-info.js";
 import {
+    getBlockInfoByRoleForDate,
     getRegexForRotationsByScheduled,
     getRotationsByScheduledForRoleAndBlockInfo,
     getSchedulesForRoleAndBlockName,
 } from "./db.js";
+import { buildAllDayEvent, buildCalendar } from "./ical.js";
+import { applyLeaveToClassifiedSchedules, getLeaveForRoleAndDate } from "./leave.js";
+import { log } from "./logging.js";
+import {
+    applyStatusOverridesToClassifiedSchedules,
+    applySwapOverridesToSchedules,
+    getOverridesForRoleAndBlockInfo,
+} from "./overrides.js";
+import StatusError, { ERROR_CODE_NO_BLOCK_FOUND } from "./status-error.js";
 
 /**
  * Build error object
- * @param  {String} message     Error message
- * @return {Object|String}      Error object in standard format
+ * @param  {String} code            Machine-readable code, one of the `ERROR_CODE_*` constants
+ * @param  {String} message         Error message that can be shown to people
+ * @param  {Null|Object} details    Optional details, such as the invalid fields of a request
+ * @return {Object}                 Error object in standard format
  */
-export function buildError(message) {
-    return message;
+export function buildError(code, message, details = null) {
+    return { error: { code, message, details } };
 }
 
 /**
- * Classify schedules into "off" vs "maybe off" vs "not sure"
- * @param  {DynamoDBDocumentClient}  db  DB client
+ * Build the schedule status for a date, which includes block info for each role and schedules
+ * for all roles classified by status
+ * @param  {Storage} db                  Storage built by `buildStorage`
+ * @param  {Object} programYear          Academic year from `getProgramYear`, whose date bounds are
+ *                                            returned as `minDate` and `maxDate`
+ * @param  {DayJS}  thisDay              DayJS date object
+ * @param  {Null|Object} cache           Optional object built by the `buildRequestCache` function
+ * @param  {Boolean} shouldExplain       Whether to add an `explanation` to each schedule, see
+ *                                            `classifySchedulesForRoleAndBlockInfo`
+ * @param  {Null|Array} names            Optional names to limit the schedules to
+ * @param  {Null|String} role            Optional role to limit the schedules to, which must have a
+ *                                            block on the date
+ * @return {Object}                      Schedule status object in the format expected by the client
+ */
+export async function buildScheduleStatusForDate(
+    db,
+    programYear,
+    thisDay,
+    cache = null,
+    shouldExplain = false,
+    names = null,
+    role = null
+) {
+    // 1. get basic information given valid date
+    const blockInfoByRole = await getBlockInfoByRoleForDate(db, thisDay, cache);
+    if (role !== null && !(role in blockInfoByRole)) {
+        const date = thisDay.format(process.env.FORMAT_DATE);
+        throw new StatusError(
+            404,
+            `Could not find a schedule block for the ${role} role on that date`,
+            ERROR_CODE_NO_BLOCK_FOUND,
+            { date, role }
+        );
+    }
+    // 2. For each role, classify schedules by status (off, maybe off, not sure) and then aggregate
+    // across roles into a unified `schedulesByStatus` object
+    const schedulesByStatus = {
+        [process.env.CLASSIFICATION_KEY_OFF]: [],
+        [process.env.CLASSIFICATION_KEY_MAYBE_OFF]: [],
+        [process.env.CLASSIFICATION_KEY_LIKELY_NOT_OFF]: [],
+        [process.env.CLASSIFICATION_KEY_ON_LEAVE]: [],
+    };
+    const warnings = [];
+    // for each role and it's associate block info...
+    for (const [blockRole, blockInfo] of Object.entries(blockInfoByRole)) {
+        if (role !== null && blockRole !== role) {
+            continue;
+        }
+        // ...classify schedules into classification keys...
+        const { classifiedSchedules, warnings: roleWarnings } =
+            await classifySchedulesForRoleAndBlockInfo(
+                db,
+                thisDay,
+                blockRole,
+                blockInfo,
+                cache,
+                names,
+                shouldExplain
+            );
+        // ...and then merge into the aggregate `schedulesByStatus` object
+        for (const classificationKey of Object.keys(schedulesByStatus)) {
+            schedulesByStatus[classificationKey].push(
+                ...(classifiedSchedules[classificationKey] || [])
+            );
+        }
+        warnings.push(...roleWarnings);
+    }
+    // 3. Build object in expected format
+    const fetchedDate = thisDay.format(process.env.FORMAT_DATE),
+        // Note that the min date is EXCLUSIVE meaning the first available min date is actually after
+        // this provided date
+        minDate = dayjs(programYear.minDate).format(process.env.FORMAT_DATE),
+        // The max date is INCLUSIVE meaning that this date is actually the last available date
+        maxDate = dayjs(programYear.maxDate).format(process.env.FORMAT_DATE);
+    return {
+        id: fetchedDate,
+        fetchedDate,
+        minDate,
+        maxDate,
+        blockInfoByRole,
+        // kept until clients read `blockInfoByRole`, left out when the role has no block on the date
+        internBlockInfo: buildLegacyBlockInfo(blockInfoByRole[process.env.ROLE_INTERN]),
+        residentBlockInfo: buildLegacyBlockInfo(blockInfoByRole[process.env.ROLE_RESIDENT]),
+        ...sortClassifiedSchedulesByName(schedulesByStatus),
+        warnings,
+    };
+}
+
+/**
+ * Classify schedules into "off" vs "maybe off" vs "not sure" vs "on leave", applying leave and
+ * overrides (swaps, sick calls, etc) on top of the templates
+ * @param  {Storage} db                  Storage built by `buildStorage`
  * @param  {DayJS}  thisDay              DayJS date object
  * @param  {String} role                 Role (intern or resident)
  * @param  {Object} blockInfo            Object built by the `buildBlockInfo` function
- * @return {Object}                      Keys "off", "maybeOff", "notSure"  (see CLASSIFICATION_KEY_* in `serverless.yml),
- *                                            values are arrays of objects with keys `name`, `role`, and `assignment`
+ * @param  {Null|Object} cache           Optional object built by the `buildRequestCache` function
+ * @param  {Null|Array} names            Optional names to limit classification to, if null then
+ *                                            all schedules are classified
+ * @param  {Boolean} shouldExplain       Whether to add an `explanation` to each schedule with the
+ *                                            block info, the template and expression that matched,
+ *                                            and the candidates that were tried if nothing matched
+ * @return {Object}                      Object with keys `classifiedSchedules` and `warnings`. The keys of
+ *                                            `classifiedSchedules` are "off", "maybeOff", "notSure", "onLeave"  (see CLASSIFICATION_KEY_* in `serverless.yml),
+ *                                            values are arrays of objects with keys `name`, `role`, and `assignment`,
+ *                                            plus `leave` for people on leave and `overrides` for overridden schedules.
+ *                                            `warnings` is an array of objects with keys `role`, `code`, `service`,
+ *                                            and `message` for date template sites without data for this date
  */
-export async function classifySchedulesForRoleAndBlockInfo(db, thisDay, role, blockInfo) {
-    // fetch schedules and rotations that have scheduled off day
-    const [schedules, rotationsByScheduled] = await Promise.all([
-            getSchedulesForRoleAndBlockName(db, role, getBlockNameFromBlockInfo(blockInfo)),
+export async function classifySchedulesForRoleAndBlockInfo(
+    db,
+    thisDay,
+    role,
+    blockInfo,
+    cache = null,
+    names = null,
+    shouldExplain = false
+) {
+    // fetch schedules, rotations that have scheduled off day, leave, and overrides
+    const [schedules, { rotationsByScheduled, warnings }, leaves, overrides] = await Promise.all([
+            getSchedulesForRoleAndBlockName(db, role, getBlockNameFromBlockInfo(blockInfo), cache),
             getRotationsByScheduledForRoleAndBlockInfo(
                 db,
                 thisDay,
                 role,
-                getIsAFromBlockInfo(blockInfo),
-                getDayNumberFromBlockInfo(blockInfo)
+                getBlockTypeFromBlockInfo(blockInfo),
+                getDayNumberFromBlockInfo(blockInfo),
+                cache
             ),
+            getLeaveForRoleAndDate(db, thisDay, role, cache),
+            getOverridesForRoleAndBlockInfo(db, thisDay, role, blockInfo, cache),
         ]),
+        // swaps need everyone's assignments so they are applied before filtering by name
+        swappedSchedules = applySwapOverridesToSchedules(schedules, overrides),
         // build regex for each category (off vs maybe off) and group residents into these categories
-        regExpInfo = await getRegexForRotationsByScheduled(db, rotationsByScheduled);
-    return classifySchedulesByStatus(regExpInfo, schedules);
+        regExpInfo = await getRegexForRotationsByScheduled(db, rotationsByScheduled, cache);
+    // status overrides are for a single day so they take precedence over leave
+    const classifiedSchedules = applyStatusOverridesToClassifiedSchedules(
+        applyLeaveToClassifiedSchedules(
+            classifySchedulesByStatus(
+                regExpInfo,
+                names ? filterSchedulesByNames(swappedSchedules, names) : swappedSchedules,
+                shouldExplain ? blockInfo : null
+            ),
+            leaves
+        ),
+        overrides
+    );
+    return { classifiedSchedules, warnings };
+}
+
+/**
+ * Find the days where at least a minimum number of the given people are off, ranked by how many
+ * of them are off. People on leave are not counted since they are likely away
+ * @param  {Storage} db                  Storage built by `buildStorage`
+ * @param  {Array} days                  DayJS objects for each day to check
+ * @param  {Object} roleByName           Keys are names, values are roles (intern or resident)
+ * @param  {Number} minCount             Minimum number of people that must be off
+ * @param  {Boolean} includeMaybeOff     Whether people that are maybe off count as being off
+ * @param  {Null|Object} cache           Optional object built by the `buildRequestCache` function
+ * @return {Array}                       Objects with keys `id`, `date`, `count`, and the names of the
+ *                                            people for the `CLASSIFICATION_KEY_OFF` and
+ *                                            `CLASSIFICATION_KEY_MAYBE_OFF` keys, plus `warnings` if
+ *                                            any date template sites are missing data, sorted by `count`
+ *                                            (descending), then number of people definitely off
+ *                                            (descending), and then date (ascending)
+ */
+export async function findCommonOffDaysForNames(
+    db,
+    days,
+    roleByName,
+    minCount,
+    includeMaybeOff,
+    cache = null
+) {
+    const names = Object.keys(roleByName),
+        roles = new Set(Object.values(roleByName)),
+        commonOffDays = await Promise.all(
+            days.map(async (thisDay) => {
+                const blockInfoByRole = await getBlockInfoByRoleForDate(db, thisDay, cache),
+                    offNames = [],
+                    maybeOffNames = [],
+                    warnings = [];
+                // only classify the roles that the given people actually have
+                for (const [role, blockInfo] of Object.entries(blockInfoByRole)) {
+                    if (!roles.has(role)) {
+                        continue;
+                    }
+                    const { classifiedSchedules, warnings: roleWarnings } =
+                        await classifySchedulesForRoleAndBlockInfo(
+                            db,
+                            thisDay,
+                            role,
+                            blockInfo,
+                            cache,
+                            names
+                        );
+                    offNames.push(
+                        ...(classifiedSchedules[process.env.CLASSIFICATION_KEY_OFF] || []).map(
+                            ({ name }) => name
+                        )
+                    );
+                    maybeOffNames.push(
+                        ...(
+                            classifiedSchedules[process.env.CLASSIFICATION_KEY_MAYBE_OFF] || []
+                        ).map(({ name }) => name)
+                    );
+                    warnings.push(...roleWarnings);
+                }
+                const date = thisDay.format(process.env.FORMAT_DATE);
+                return {
+                    id: date,
+                    date,
+                    count: offNames.length + (includeMaybeOff ? maybeOffNames.length : 0),
+                    [process.env.CLASSIFICATION_KEY_OFF]: offNames.sort(),
+                    [process.env.CLASSIFICATION_KEY_MAYBE_OFF]: maybeOffNames.sort(),
+                    ...(warnings.length > 0 ? { warnings } : {}),
+                };
+            })
+        );
+    return commonOffDays
+        .filter(({ count }) => count >= minCount)
+        .sort(
+            (d1, d2) =>
+                d2.count - d1.count ||
+                // prefer days where more people are definitely off rather than maybe off
+                d2[process.env.CLASSIFICATION_KEY_OFF].length -
+                    d1[process.env.CLASSIFICATION_KEY_OFF].length ||
+                (d1.date > d2.date ? 1 : -1)
+        );
+}
+
+/**
+ * Classify a single person's assignment for each day, including which service expression matched
+ * and any overrides
+ * @param  {Storage} db                  Storage built by `buildStorage`
+ * @param  {Array} days                  DayJS objects for each day to classify
+ * @param  {Object} schedule             Object built by the `getScheduleForName` function
+ * @param  {Null|Object} cache           Optional object built by the `buildRequestCache` function
+ * @return {Array}                       Objects with keys `id`, `date`, `name`, `role`, `blockName`,
+ *                                            `blockType`, `dayNumber`, `assignment`, `status`, `service`,
+ *                                            and `expression`, plus `leave` if on leave,
+ *                                            `overrides` if overridden, and `warnings` if any date
+ *                                            template sites are missing data, skipping days without
+ *                                            a block for the person's role and days where the person
+ *                                            could not be classified
+ */
+export async function buildOffDaysForSchedule(db, days, schedule, cache = null) {
+    const { name, role } = schedule,
+        offDays = await Promise.all(
+            days.map(async (thisDay) => {
+                const blockInfo = (await getBlockInfoByRoleForDate(db, thisDay, cache))[role];
+                if (!blockInfo) {
+                    return null;
+                }
+                const { classifiedSchedules, warnings } =
+                        await classifySchedulesForRoleAndBlockInfo(
+                            db,
+                            thisDay,
+                            role,
+                            blockInfo,
+                            cache,
+                            [name],
+                            true
+                        ),
+                    // the only classified schedule is this person's, if they are in the role's
+                    // schedules at all
+                    classified = Object.entries(classifiedSchedules).find(
+                        ([classificationKey, schedules]) => schedules.length > 0
+                    ),
+                    date = thisDay.format(process.env.FORMAT_DATE);
+                if (!classified) {
+                    log("warn", "Could not classify a person on a day", { name, role, date });
+                    return null;
+                }
+                const [status, [{ assignment, leave, overrides, explanation }]] = classified;
+                return {
+                    id: date,
+                    date,
+                    name,
+                    role,
+                    ...blockInfo,
+                    assignment,
+                    status,
+                    service: explanation.template?.service ?? null,
+                    expression: explanation.expression,
+                    ...(leave ? { leave } : {}),
+                    ...(overrides ? { overrides } : {}),
+                    ...(warnings.length > 0 ? { warnings } : {}),
+                };
+            })
+        );
+    return offDays.filter((offDay) => offDay != null);
+}
+
+/**
+ * Build an iCalendar feed of a person's off days, where maybe off days are tentative events and days
+ * on leave are confirmed events
+ * @param  {Object} schedule  Object built by the `getScheduleForName` function
+ * @param  {Array} offDays    Objects built by the `buildOffDaysForSchedule` function
+ * @return {String}           Calendar in the iCalendar format
+ */
+export function buildCalendarForOffDays(schedule, offDays) {
+    const events = offDays
+        .filter(
+            ({ status }) =>
+                status === process.env.CLASSIFICATION_KEY_OFF ||
+                status === process.env.CLASSIFICATION_KEY_MAYBE_OFF ||
+                status === process.env.CLASSIFICATION_KEY_ON_LEAVE
+        )
+        .map(({ date, blockName, dayNumber, assignment, status, leave }) => {
+            const isTentative = status === process.env.CLASSIFICATION_KEY_MAYBE_OFF;
+            if (status === process.env.CLASSIFICATION_KEY_ON_LEAVE) {
+                return buildAllDayEvent(
+                    [schedule.name],
+                    dayjs(date),
+                    `${schedule.name} on leave`,
+                    leave.note ?? `Leave from ${leave.from} to ${leave.to}`,
+                    false
+                );
+            }
+            return buildAllDayEvent(
+                [schedule.name],
+                dayjs(date),
+                isTentative ? `${schedule.name} maybe off` : `${schedule.name} off`,
+                `${assignment} (block ${blockName}, day ${dayNumber})`,
+                isTentative
+            );
+        });
+    return buildCalendar(`${schedule.name} off days`, events);
+}
+
+/**
+ * Build an iCalendar feed of the days a group of people are off together. Days where enough people
+ * are only off when counting those who are maybe off are tentative events
+ * @param  {Array} names          Names of the people in the group
+ * @param  {Number} minCount      Minimum number of people that must be off
+ * @param  {Array} commonOffDays  Objects built by the `findCommonOffDaysForNames` function with
+ *                                     people who are maybe off included
+ * @return {String}               Calendar in the iCalendar format
+ */
+export function buildCalendarForCommonOffDays(names, minCount, commonOffDays) {
+    // sort so that the same group always has the same event UIDs regardless of name order
+    const sortedNames = [...names].sort(),
+        events = commonOffDays
+            .sort((d1, d2) => (d1.date > d2.date ? 1 : -1))
+            .map(
+                ({
+                    date,
+                    [process.env.CLASSIFICATION_KEY_OFF]: offNames,
+                    [process.env.CLASSIFICATION_KEY_MAYBE_OFF]: maybeOffNames,
+                }) => {
+                    const descriptionLines = [`Off: ${offNames.join(", ") || "nobody"}`];
+                    if (maybeOffNames.length > 0) {
+                        descriptionLines.push(`Maybe off: ${maybeOffNames.join(", ")}`);
+                    }
+                    return buildAllDayEvent(
+                        sortedNames,
+                        dayjs(date),
+                        `${offNames.length + maybeOffNames.length} of ${names.length} off`,
+                        descriptionLines.join("\n"),
+                        offNames.length < minCount
+                    );
+                }
+            );
+    return buildCalendar(`${sortedNames.join(", ")} off days`, events);
 }
 
 /**
@@ -64,13 +420,15 @@ export function sortClassifiedSchedulesByName(classifiedSchedules) {
 
 /**
  * Classify residents according to the shape of the object of regular expressions
- * @param  {Object} regExpInfo Keys are categories that the return object should mirror,
- *                                 values are RegExp used to test membership
- * @param  {Object} schedules  Keys are names, values are assignments (e.g., CCU - A, Janeway - B)
- * @return {Object}            Keys are same as `regExpInfo` plus "notSure" (see CLASSIFICATION_KEY_* in `serverless.yml)
- *                                  values are arrays of objects with keys `name`, `role`, and `assignment`
+ * @param  {Object} regExpInfo      Object built by the `getRegexForRotationsByScheduled` function,
+ *                                      keys are categories that the return object should mirror
+ * @param  {Object} schedules       Keys are names, values are assignments (e.g., CCU - A, Janeway - B)
+ * @param  {Null|Object} blockInfo  If given, each schedule is explained using this BlockInfo object
+ * @return {Object}                 Keys are same as `regExpInfo` plus "notSure" (see CLASSIFICATION_KEY_* in `serverless.yml)
+ *                                      values are arrays of objects with keys `name`, `role`, and `assignment`,
+ *                                      plus `explanation` if `blockInfo` is given
  */
-function classifySchedulesByStatus(regExpInfo, schedules) {
+function classifySchedulesByStatus(regExpInfo, schedules, blockInfo = null) {
     const classifiedSchedules = Object.keys(regExpInfo).reduce(
         (obj, classificationKey) => ((obj[classificationKey] = []), obj),
         Object.create(null)
@@ -83,22 +441,84 @@ function classifySchedulesByStatus(regExpInfo, schedules) {
         {
             [process.env.SCHEDULE_KEY_ROLE]: role,
             [process.env.SCHEDULE_KEY_ASSIGNMENT]: assignment,
+            overrides,
         },
     ] of Object.entries(schedules)) {
-        let classificationKeyToAddTo = process.env.CLASSIFICATION_KEY_LIKELY_NOT_OFF;
-        //...loop through each classification key (e.g., off, maybe off) and corresponding regular expression...
-        for (const [classificationKey, regex] of Object.entries(regExpInfo)) {
-            //...if the assignment matches the corresponding RegExp then add to this classification key
-            if (regex.test(assignment)) {
-                classificationKeyToAddTo = classificationKey;
-            }
+        //...find the classification key (e.g., off, maybe off) whose regular expressions match...
+        const match = findMatchingServiceRegex(regExpInfo, assignment),
+            classifiedSchedule = { name, role, assignment, ...(overrides ? { overrides } : {}) };
+        if (blockInfo) {
+            classifiedSchedule.explanation = buildExplanation(regExpInfo, blockInfo, match);
         }
-        // add to whatever classification key match or the default "not sure" classification
-        classifiedSchedules[classificationKeyToAddTo].push({ name, role, assignment });
+        // ...and add to whatever classification key match or the default "not sure" classification
+        classifiedSchedules[
+            match?.classificationKey ?? process.env.CLASSIFICATION_KEY_LIKELY_NOT_OFF
+        ].push(classifiedSchedule);
     }
     return classifiedSchedules;
 }
 
+/**
+ * Find the service regular expression that matches an assignment, where later classification keys
+ * take precedence over earlier ones (e.g., maybe off over off)
+ * @param  {Object} regExpInfo  Object built by the `getRegexForRotationsByScheduled` function
+ * @param  {String} assignment  Assignment (e.g., CCU - A, Janeway - B)
+ * @return {Null|Object}        Object with keys `classificationKey` and `serviceRegex` (one of the
+ *                                  objects in `regExpInfo`), null if nothing matched
+ */
+function findMatchingServiceRegex(regExpInfo, assignment) {
+    let match = null;
+    for (const [classificationKey, serviceRegexes] of Object.entries(regExpInfo)) {
+        const serviceRegex = serviceRegexes.find(({ regex }) => regex.test(assignment));
+        if (serviceRegex) {
+            match = { classificationKey, serviceRegex };
+        }
+    }
+    return match;
+}
+
+/**
+ * Explain why an assignment was classified the way it was
+ * @param  {Object} regExpInfo  Object built by the `getRegexForRotationsByScheduled` function
+ * @param  {Object} blockInfo   BlockInfo object for the schedule's role
+ * @param  {Null|Object} match  Object built by the `findMatchingServiceRegex` function
+ * @return {Object}             Object with the keys of `blockInfo` plus `template` (object with
+ *                                  keys `service`, `position`, and `scheduled`) and `expression`,
+ *                                  both null if nothing matched, in which case there is also a
+ *                                  `candidates` key with all of the expressions that were tried
+ */
+function buildExplanation(regExpInfo, blockInfo, match) {
+    const buildTemplate = ({ service, position, scheduled }) => ({ service, position, scheduled });
+    if (match) {
+        return {
+            ...blockInfo,
+            template: buildTemplate(match.serviceRegex),
+            expression: match.serviceRegex.expression,
+        };
+    }
+    return {
+        ...blockInfo,
+        template: null,
+        expression: null,
+        candidates: Object.values(regExpInfo)
+            .flat()
+            .map((serviceRegex) => ({
+                ...buildTemplate(serviceRegex),
+                expression: serviceRegex.expression,
+            })),
+    };
+}
+
+/**
+ * Only keep the schedules for the given names
+ * @param  {Object} schedules Keys are names, values are assignments (e.g., CCU - A, Janeway - B)
+ * @param  {Array} names      Names to keep
+ * @return {Object}           New object with only the keys that are in `names`
+ */
+function filterSchedulesByNames(schedules, names) {
+    return Object.fromEntries(Object.entries(schedules).filter(([name]) => names.includes(name)));
+}
+
 /**
  * Sort an array of schedule objects alphabetically by their `name` key
  * @param  {Arrray} schedules Array of schedules
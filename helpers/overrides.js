@@ -0,0 +1,351 @@
+import { randomUUID } from "crypto";
+import { getBlockNameFromBlockInfo } from "./block-info.js";
+import { tryGetFromCache } from "./cache.js";
+import { recordChanges } from "./changes.js";
+import { getScheduleForName } from "./db.js";
+import { tryBuildDayFromDate, tryBuildNames } from "./input.js";
+import StatusError from "./status-error.js";
+import { tryBuildNote } from "./validation.js";
+
+// A status override makes a person off or working on a date, a swap override exchanges the
+// assignments of two people of the same role for a block
+const OVERRIDE_TYPE_STATUS = "status",
+    OVERRIDE_TYPE_SWAP = "swap",
+    OVERRIDE_STATUSES = ["off", "working"];
+
+/**
+ * Gets every override, most recently changed first
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @return {Array}                      Override items
+ */
+export async function getAllOverrides(db) {
+    const overrides = await db.getAllItems(process.env.TABLE_OVERRIDES);
+    return sortOverrides(overrides).reverse();
+}
+
+/**
+ * Gets a single override
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {String} id                  Override id
+ * @return {Object}                     Override item
+ */
+export async function getOverrideById(db, id) {
+    const override = await db.getOverride(id);
+    if (!override) {
+        throw new StatusError(404, "Could not find that override");
+    }
+    return override;
+}
+
+/**
+ * Validate and save a new override
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {Object} programYear         Academic year from `getProgramYear`, which bounds the date
+ * @param  {Object} body                Request body, see `tryBuildOverrideFields`
+ * @param  {String} cohort              Cohort of the token used to make the change
+ * @return {Object}                     Saved override item
+ */
+export async function createOverride(db, programYear, body, cohort) {
+    const now = new Date().toISOString(),
+        override = {
+            id: randomUUID(),
+            ...(await tryBuildOverrideFields(db, programYear, body)),
+            createdAt: now,
+            createdBy: cohort,
+            updatedAt: now,
+            updatedBy: cohort,
+        };
+    await recordChanges(
+        db,
+        process.env.TABLE_OVERRIDES,
+        [{ itemId: override.id, before: null, after: override }],
+        cohort
+    );
+    await db.putOverride(override);
+    return override;
+}
+
+/**
+ * Validate and replace an existing override, keeping when and by whom it was created
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {Object} programYear         Academic year from `getProgramYear`, which bounds the date
+ * @param  {String} id                  Override id
+ * @param  {Object} body                Request body, see `tryBuildOverrideFields`
+ * @param  {String} cohort              Cohort of the token used to make the change
+ * @param  {Null|String} ownerCohort    Cohort that must have created the override, or null for any
+ *                                          cohort, see `getOwnerCohort`
+ * @return {Object}                     Saved override item
+ */
+export async function updateOverride(db, programYear, id, body, cohort, ownerCohort) {
+    const existingOverride = tryCheckOverrideOwner(await getOverrideById(db, id), ownerCohort),
+        { createdAt, createdBy } = existingOverride,
+        override = {
+            id,
+            ...(await tryBuildOverrideFields(db, programYear, body)),
+            createdAt,
+            createdBy,
+            updatedAt: new Date().toISOString(),
+            updatedBy: cohort,
+        };
+    await recordChanges(
+        db,
+        process.env.TABLE_OVERRIDES,
+        [{ itemId: id, before: existingOverride, after: override }],
+        cohort
+    );
+    await db.putOverride(override);
+    return override;
+}
+
+/**
+ * Delete an existing override
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {String} id                  Override id
+ * @param  {String} cohort              Cohort of the token used to make the change
+ * @param  {Null|String} ownerCohort    Cohort that must have created the override, or null for any
+ *                                          cohort, see `getOwnerCohort`
+ */
+export async function deleteOverride(db, id, cohort, ownerCohort) {
+    const existingOverride = tryCheckOverrideOwner(await getOverrideById(db, id), ownerCohort);
+    await recordChanges(
+        db,
+        process.env.TABLE_OVERRIDES,
+        [{ itemId: id, before: existingOverride, after: null }],
+        cohort
+    );
+    await db.deleteOverride(id);
+}
+
+/**
+ * Gets the overrides that could change the classification of a role on a date, which are the status
+ * overrides for that date and the swap overrides for the role's current block
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {DayJS} thisDay              DayJS date object
+ * @param  {String} role                Role (intern or resident)
+ * @param  {Object} blockInfo           Object built by the `buildBlockInfo` function
+ * @param  {Null|Object} cache          Optional object built by the `buildRequestCache` function
+ * @return {Array}                      Override items, least recently changed first
+ */
+export async function getOverridesForRoleAndBlockInfo(db, thisDay, role, blockInfo, cache = null) {
+    const scopes = [
+            buildScopeForDate(thisDay.format(process.env.FORMAT_DATE)),
+            buildScopeForBlock(role, getBlockNameFromBlockInfo(blockInfo)),
+        ],
+        overridesByScope = await Promise.all(
+            scopes.map((scope) =>
+                tryGetFromCache(cache, `overrides:${scope}`, () => db.getOverridesForScope(scope))
+            )
+        );
+    return sortOverrides(overridesByScope.flat());
+}
+
+/**
+ * Exchange the assignments of the people in swap overrides, marking both people as overridden
+ * @param  {Object} schedules   Keys are names, values are objects with keys `SCHEDULE_KEY_ROLE` and
+ *                                  `SCHEDULE_KEY_ASSIGNMENT`
+ * @param  {Array} overrides    Objects built by the `getOverridesForRoleAndBlockInfo` function
+ * @return {Object}             New schedules object, overridden schedules also have an `overrides`
+ *                                  key whose value is an array of objects built by `buildMarker`
+ */
+export function applySwapOverridesToSchedules(schedules, overrides) {
+    const swappedSchedules = { ...schedules };
+    for (const override of overrides) {
+        const [name1, name2] = override.names ?? [];
+        if (
+            override.type !== OVERRIDE_TYPE_SWAP ||
+            !swappedSchedules[name1] ||
+            !swappedSchedules[name2]
+        ) {
+            continue;
+        }
+        const schedule1 = swappedSchedules[name1],
+            schedule2 = swappedSchedules[name2],
+            assignmentKey = process.env.SCHEDULE_KEY_ASSIGNMENT;
+        swappedSchedules[name1] = {
+            ...schedule1,
+            [assignmentKey]: schedule2[assignmentKey],
+            overrides: [...(schedule1.overrides ?? []), buildMarker(override, name2)],
+        };
+        swappedSchedules[name2] = {
+            ...schedule2,
+            [assignmentKey]: schedule1[assignmentKey],
+            overrides: [...(schedule2.overrides ?? []), buildMarker(override, name1)],
+        };
+    }
+    return swappedSchedules;
+}
+
+/**
+ * Move people with status overrides into the classification key for that status, marking them as
+ * overridden. Later overrides take precedence over earlier ones
+ * @param  {Object} classifiedSchedules Keys are CLASSIFICATION_KEY_* (see `serverless.yml`), values
+ *                                          are arrays of objects with keys `name`, `role`, and
+ *                                          `assignment`
+ * @param  {Array} overrides            Objects built by the `getOverridesForRoleAndBlockInfo`
+ *                                          function
+ * @return {Object}                     New object in the same format
+ */
+export function applyStatusOverridesToClassifiedSchedules(classifiedSchedules, overrides) {
+    const result = Object.fromEntries(
+        Object.entries(classifiedSchedules).map(([key, schedules]) => [key, [...schedules]])
+    );
+    for (const override of overrides) {
+        if (override.type !== OVERRIDE_TYPE_STATUS) {
+            continue;
+        }
+        for (const schedules of Object.values(result)) {
+            const index = schedules.findIndex(({ name }) => name === override.name);
+            if (index === -1) {
+                continue;
+            }
+            const [schedule] = schedules.splice(index, 1),
+                classificationKeyToAddTo = getClassificationKeyForStatus(override.status);
+            result[classificationKeyToAddTo] ??= [];
+            result[classificationKeyToAddTo].push({
+                ...schedule,
+                overrides: [...(schedule.overrides ?? []), buildMarker(override)],
+            });
+            break;
+        }
+    }
+    return result;
+}
+
+// Helpers
+// -------
+
+/**
+ * Check that an override can be changed by a cohort, which must be the cohort that created it
+ * unless it is an admin cohort. Everyone can read overrides, so this is forbidden rather than not
+ * found
+ * @param  {Object} override            Override item
+ * @param  {Null|String} ownerCohort    Cohort that must have created the override, or null for any
+ *                                          cohort, see `getOwnerCohort`
+ * @return {Object}                     The same override item
+ */
+function tryCheckOverrideOwner(override, ownerCohort) {
+    if (ownerCohort !== null && override.createdBy !== ownerCohort) {
+        throw new StatusError(
+            403,
+            "Only the cohort that created this override or an admin can change it"
+        );
+    }
+    return override;
+}
+
+/**
+ * Validate the fields of an override in a request body
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {Object} programYear         Academic year from `getProgramYear`, which bounds the date
+ * @param  {Object} body                For status overrides, keys `type` (`status`), `name`, `date`,
+ *                                          and `status` (`off` or `working`). For swap overrides,
+ *                                          keys `type` (`swap`), `names` (exactly two names of the
+ *                                          same role), and `blockName`. Both can have a `note`
+ * @return {Object}                     Override fields including its `scope`
+ */
+async function tryBuildOverrideFields(db, programYear, body) {
+    const note = tryBuildNote(body?.note);
+    if (body?.type === OVERRIDE_TYPE_STATUS) {
+        if (!OVERRIDE_STATUSES.includes(body.status)) {
+            throw new StatusError(
+                400,
+                `The \`status\` must be one of ${OVERRIDE_STATUSES.join(", ")}`
+            );
+        }
+        if (typeof body.name !== "string" || body.name.trim() === "" || !body.date) {
+            throw new StatusError(400, "Both a `name` and a `date` are required");
+        }
+        const date = tryBuildDayFromDate(body.date, programYear).format(process.env.FORMAT_DATE),
+            { name } = await getScheduleForName(db, body.name.trim());
+        return {
+            scope: buildScopeForDate(date),
+            type: OVERRIDE_TYPE_STATUS,
+            name,
+            date,
+            status: body.status,
+            ...note,
+        };
+    } else if (body?.type === OVERRIDE_TYPE_SWAP) {
+        const names = tryBuildNames(body.names),
+            blockName = String(body.blockName ?? "").trim();
+        if (names.length !== 2) {
+            throw new StatusError(400, "A swap needs exactly two different names");
+        }
+        const schedules = await Promise.all(names.map((name) => getScheduleForName(db, name)));
+        if (schedules[0].role !== schedules[1].role) {
+            throw new StatusError(400, "Only people with the same role can swap assignments");
+        }
+        for (const { name, assignmentByBlockName } of schedules) {
+            if (!(blockName in assignmentByBlockName)) {
+                throw new StatusError(
+                    400,
+                    `${name} does not have an assignment for block ${blockName}`
+                );
+            }
+        }
+        return {
+            scope: buildScopeForBlock(schedules[0].role, blockName),
+            type: OVERRIDE_TYPE_SWAP,
+            role: schedules[0].role,
+            blockName,
+            names,
+            ...note,
+        };
+    }
+    throw new StatusError(
+        400,
+        `The \`type\` must be one of ${OVERRIDE_TYPE_STATUS}, ${OVERRIDE_TYPE_SWAP}`
+    );
+}
+
+/**
+ * Build the scope of the status overrides for a date, overrides are looked up by scope
+ * @param  {String} date    Date in the standard format
+ * @return {String}         Scope
+ */
+function buildScopeForDate(date) {
+    return `date:${date}`;
+}
+
+/**
+ * Build the scope of the swap overrides for a block of a role, overrides are looked up by scope
+ * @param  {String} role        Role (intern or resident)
+ * @param  {String} blockName   Block's name (e.g., 9A, 10B, etc)
+ * @return {String}             Scope
+ */
+function buildScopeForBlock(role, blockName) {
+    return `block:${role}:${blockName}`;
+}
+
+/**
+ * Gets the classification key that a status override puts a person in
+ * @param  {String} status  One of `OVERRIDE_STATUSES`
+ * @return {String}         One of CLASSIFICATION_KEY_* (see `serverless.yml`)
+ */
+function getClassificationKeyForStatus(status) {
+    return status === "off"
+        ? process.env.CLASSIFICATION_KEY_OFF
+        : process.env.CLASSIFICATION_KEY_LIKELY_NOT_OFF;
+}
+
+/**
+ * Build the object that marks a schedule as overridden so that the client can show it
+ * @param  {Object} override        Override item
+ * @param  {Null|String} otherName  For swaps, the name of the person swapped with
+ * @return {Object}                 Object with keys `id`, `type`, and `note`, plus `status` for
+ *                                      status overrides or `swappedWith` for swap overrides
+ */
+function buildMarker({ id, type, status, note }, otherName = null) {
+    return type === OVERRIDE_TYPE_SWAP
+        ? { id, type, swappedWith: otherName, note }
+        : { id, type, status, note };
+}
+
+/**
+ * Sort overrides so that the least recently changed come first
+ * @param  {Array} overrides    Override items
+ * @return {Array}              New array of sorted overrides
+ */
+function sortOverrides(overrides) {
+    return [...overrides].sort((o1, o2) => (o1.updatedAt > o2.updatedAt ? 1 : -1));
+}
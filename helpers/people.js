@@ -0,0 +1,138 @@
+import { getBlockNameFromBlockInfo } from "./block-info.js";
+import { getBlockInfoByRoleForDate } from "./db.js";
+
+// Marks such as accents, which are split from their letters by Unicode normalization
+const EXP_MARKS = /\p{M}/gu,
+    // anything besides letters and digits, such as apostrophes and hyphens, is ignored when matching
+    EXP_NOT_ALPHANUMERIC = /[^\p{L}\p{N}]+/gu;
+
+/**
+ * Find everyone in an academic year whose name matches a search, along with their role, class year,
+ * and scheduled assignment on a day. Matching ignores case, accents, and punctuation (so `obrien`
+ * finds `Liam O'Brien`) and allows a typo or two in longer words, see `scoreName`. Names that match
+ * more closely come first
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {Null|String} query          Search text, if null or blank then everyone is returned
+ * @param  {Null|DayJS} thisDay         Day of the assignments, if null then they are all null
+ * @return {Array}                      Objects with keys `name`, `role`, `classYear`,
+ *                                          `currentBlockName`, and `currentAssignment`, where
+ *                                          `classYear` comes from the optional `class_year` column of
+ *                                          the Schedules table
+ */
+export async function searchPeople(db, query = null, thisDay = null) {
+    const [schedules, blockInfoByRole] = await Promise.all([
+            db.getSchedules(),
+            thisDay ? getBlockInfoByRoleForDate(db, thisDay) : {},
+        ]),
+        queryWords = splitIntoWords(query ?? "");
+    return schedules
+        .map((schedule) => ({ schedule, score: scoreName(queryWords, schedule.name) }))
+        .filter(({ score }) => score !== null)
+        .sort(
+            ({ schedule: s1, score: score1 }, { schedule: s2, score: score2 }) =>
+                score1 - score2 || (s1.name === s2.name ? 0 : s1.name > s2.name ? 1 : -1)
+        )
+        .map(({ schedule }) => {
+            const blockInfo = blockInfoByRole[schedule.role],
+                blockName = blockInfo ? getBlockNameFromBlockInfo(blockInfo) : null;
+            return {
+                name: schedule.name,
+                role: schedule.role,
+                classYear: schedule.class_year ?? null,
+                currentBlockName: blockName,
+                currentAssignment: blockName ? schedule[blockName] ?? null : null,
+            };
+        });
+}
+
+// Helpers
+// -------
+
+/**
+ * Split text into words for matching, without case, accents, or punctuation
+ * @param  {String} text    Text such as a name or search
+ * @return {Array}          Lowercase words of letters and digits
+ */
+function splitIntoWords(text) {
+    return text
+        .normalize("NFD")
+        .replace(EXP_MARKS, "")
+        .toLowerCase()
+        .split(/\s+/)
+        .map((word) => word.replace(EXP_NOT_ALPHANUMERIC, ""))
+        .filter((word) => word !== "");
+}
+
+/**
+ * Score how closely a name matches the words of a search, where every word of the search has to
+ * match the start of a word of the name with at most `getMaxNumEdits` typos. Words that run
+ * together in the search (e.g., `liamobrien`) also match
+ * @param  {Array} queryWords   Words built by `splitIntoWords`, everyone matches no words
+ * @param  {String} name        Person's name
+ * @return {Null|Number}        Null if the name does not match, 0 if it has the search without
+ *                                  typos at the start of its words, a half if it only has the search
+ *                                  partway into a word, otherwise the number of typos
+ */
+function scoreName(queryWords, name) {
+    const nameWords = splitIntoWords(name);
+    if (nameWords.join("").includes(queryWords.join(""))) {
+        return queryWords.every((queryWord) =>
+            nameWords.some((nameWord) => nameWord.startsWith(queryWord))
+        )
+            ? 0
+            : 0.5;
+    }
+    let score = 0;
+    for (const queryWord of queryWords) {
+        // the start of a name word can be a letter longer or shorter than the search word with a typo
+        const numEdits = Math.min(
+            ...nameWords.flatMap((nameWord) =>
+                [-1, 0, 1].map((difference) =>
+                    countEdits(queryWord, nameWord.slice(0, queryWord.length + difference))
+                )
+            )
+        );
+        if (numEdits > getMaxNumEdits(queryWord)) {
+            return null;
+        }
+        score += numEdits;
+    }
+    return score;
+}
+
+/**
+ * Gets how many typos a search word can have, more for longer words so that short searches do not
+ * match everyone
+ * @param  {String} word    Search word
+ * @return {Number}         Number of edits allowed
+ */
+function getMaxNumEdits(word) {
+    return word.length < 4 ? 0 : word.length < 8 ? 1 : 2;
+}
+
+/**
+ * Count the edits (insertions, deletions, substitutions, and swaps of adjacent letters) that turn
+ * one word into another, using the optimal string alignment distance
+ * @param  {String} a   First word
+ * @param  {String} b   Second word
+ * @return {Number}     Number of edits
+ */
+function countEdits(a, b) {
+    const distances = Array.from({ length: a.length + 1 }, (_, i) =>
+        Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+    );
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            distances[i][j] = Math.min(
+                distances[i - 1][j] + 1,
+                distances[i][j - 1] + 1,
+                distances[i - 1][j - 1] + cost
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return distances[a.length][b.length];
+}
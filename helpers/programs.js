@@ -0,0 +1,136 @@
+import dayjs from "dayjs";
+import { isDateWithinBounds, tryBuildDayFromDate } from "./input.js";
+import StatusError from "./status-error.js";
+
+/**
+ * Gets a program and its academic years from the Programs table. Each academic year is a row with
+ * its `min_date` (exclusive) and `max_date` (inclusive) and the `table_prefix` of its tables. If the
+ * default program has no rows, it falls back to the single year of deployments from before the
+ * Programs table, see `buildLegacyProgramYears`
+ * @param  {Storage} db                 Storage built by `buildStorage` without a table prefix
+ * @param  {String} programId           Program id
+ * @return {Object}                     Object with keys `id` and `years` (array of objects built by
+ *                                          `buildProgramYear`, earliest first)
+ */
+export async function getProgram(db, programId) {
+    let programYears = await db.getProgramYears(programId);
+    if (programYears.length === 0 && programId === process.env.DEFAULT_PROGRAM_ID) {
+        programYears = buildLegacyProgramYears(programId);
+    }
+    if (programYears.length === 0) {
+        throw new StatusError(404, "Could not find that program");
+    }
+    return {
+        id: programId,
+        years: programYears
+            .map(buildProgramYear)
+            .sort((y1, y2) => (dayjs(y1.minDate).isAfter(y2.minDate) ? 1 : -1)),
+    };
+}
+
+/**
+ * Gets the academic year of a program that a request is for, which is the given year if there is
+ * one, otherwise the year that includes the given date, otherwise the current year. When both are
+ * given, the date must be within the given year rather than the year being ignored
+ * @param  {Object} program         Object built by `getProgram`
+ * @param  {Null|String} year       Academic year (e.g., 2023)
+ * @param  {Null|String} date       Date that the request is for
+ * @return {Object}                 Object built by `buildProgramYear`
+ */
+export function getProgramYear(program, year = null, date = null) {
+    if (year != null) {
+        const programYear = program.years.find((programYear) => programYear.year === year);
+        if (!programYear) {
+            throw new StatusError(404, `Could not find the ${year} academic year`);
+        }
+        if (date != null) {
+            // throws an error with the bounds of the given year
+            tryBuildDayFromDate(date, programYear);
+        }
+        return programYear;
+    } else if (date != null) {
+        return getProgramYearForDate(program, date);
+    }
+    return getCurrentProgramYear(program);
+}
+
+// Helpers
+// -------
+
+/**
+ * Gets the academic year of a program that includes a date
+ * @param  {Object} program     Object built by `getProgram`
+ * @param  {String} date        Date that the request is for
+ * @return {Object}             Object built by `buildProgramYear`
+ */
+function getProgramYearForDate(program, date) {
+    const programYear = program.years.find((programYear) => isDateWithinBounds(date, programYear));
+    if (!programYear) {
+        // throws an error with the bounds of the current year
+        tryBuildDayFromDate(date, getCurrentProgramYear(program));
+    }
+    return programYear;
+}
+
+/**
+ * Gets the academic year of a program that includes today, falling back to the most recent year
+ * that has started or, if none have started, the first year
+ * @param  {Object} program     Object built by `getProgram`
+ * @return {Object}             Object built by `buildProgramYear`
+ */
+function getCurrentProgramYear(program) {
+    const today = dayjs().startOf("day");
+    return (
+        program.years.find((programYear) => isDateWithinBounds(today, programYear)) ??
+        [...program.years].reverse().find(({ minDate }) => today.isAfter(minDate)) ??
+        program.years[0]
+    );
+}
+
+/**
+ * Build the Programs table items of a deployment from before the Programs table, whose only academic
+ * year was bounded by `BOUND_MIN_DATE` and `BOUND_MAX_DATE` and used the unprefixed tables
+ * @param  {String} programId   Id of the default program
+ * @return {Array}              One item if both bounds are set, otherwise none
+ */
+function buildLegacyProgramYears(programId) {
+    const minDate = process.env.BOUND_MIN_DATE,
+        maxDate = process.env.BOUND_MAX_DATE;
+    if (!minDate || !maxDate) {
+        return [];
+    }
+    return [
+        {
+            program_id: programId,
+            year: String(dayjs(minDate).year()),
+            table_prefix: "",
+            min_date: minDate,
+            max_date: maxDate,
+        },
+    ];
+}
+
+/**
+ * Build an academic year of a program from its item in the Programs table
+ * @param  {Object} item    Item with keys `program_id`, `year`, `min_date`, `max_date`, and
+ *                              optional `name` and `table_prefix`
+ * @return {Object}         Object with keys `programId`, `year`, `name`, `tablePrefix`, `minDate`,
+ *                              and `maxDate`
+ */
+function buildProgramYear({
+    program_id: programId,
+    year,
+    name,
+    table_prefix: tablePrefix,
+    min_date: minDate,
+    max_date: maxDate,
+}) {
+    return {
+        programId,
+        year: String(year),
+        name: name ?? programId,
+        tablePrefix: tablePrefix ?? "",
+        minDate,
+        maxDate,
+    };
+}
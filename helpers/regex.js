@@ -1,3 +1,7 @@
+// Compiled regular expressions are kept for the life of the container since compiling the same
+// expressions for every request is wasteful. Keys are the combined expression sources
+const regexBySource = new Map();
+
 /**
  * Build a consensus Regex expression given an array of expressions, will return null if no
  * expressions are passed in
@@ -5,5 +9,19 @@
  * @return {Null|RegExp}       Either a RegExp object if some expressions are passed in or null
  */
 export function tryBuildRegexForServices(expressions) {
-    return expressions?.length > 0 ? new RegExp(`(?:${expressions.join("|")})`, "i") : null;
+    if (!(expressions?.length > 0)) {
+        return null;
+    }
+    const source = `(?:${expressions.join("|")})`;
+    if (!regexBySource.has(source)) {
+        regexBySource.set(source, new RegExp(source, "i"));
+    }
+    return regexBySource.get(source);
+}
+
+/**
+ * Clear all compiled regular expressions
+ */
+export function clearRegexCache() {
+    regexBySource.clear();
 }
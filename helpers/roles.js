@@ -0,0 +1,69 @@
+import { tryGetFromCache } from "./cache.js";
+
+/**
+ * Gets the definition of every role from the Roles table. A role's blocks are `block_length` days
+ * long and, if the role splits its blocks into sub-blocks (e.g., 2 week "A" and "B" halves), block
+ * names end with one of its space-separated `sub_block_labels`
+ * @param  {Storage} db                 Storage built by `buildStorage`
+ * @param  {Null|Object} cache          Optional object built by the `buildRequestCache` function
+ * @return {Object}                     Keys are roles, values are objects built by
+ *                                          `buildRoleDefinition`
+ */
+export async function getRoleDefinitionByRole(db, cache = null) {
+    const roles = await tryGetFromCache(cache, "roles", () => db.getRoles()),
+        roleDefinitionByRole = Object.create(null);
+    for (const item of roles) {
+        roleDefinitionByRole[item.role] = buildRoleDefinition(item);
+    }
+    return roleDefinitionByRole;
+}
+
+/**
+ * Gets the definition of a role, falling back to a role without sub-blocks if it is not in the
+ * Roles table so that only its `Any` templates are used
+ * @param  {Object} roleDefinitionByRole    Object built by `getRoleDefinitionByRole`
+ * @param  {String} role                    Role (intern or resident)
+ * @return {Object}                         Object built by `buildRoleDefinition`
+ */
+export function getRoleDefinition(roleDefinitionByRole, role) {
+    return roleDefinitionByRole[role] ?? buildRoleDefinition({ role });
+}
+
+/**
+ * Gets the sub-block label that a block name ends with, longest labels first so that a label that
+ * ends with another label is still found
+ * @param  {Object} roleDefinition  Object built by `buildRoleDefinition`
+ * @param  {String} blockName       Block name (e.g., 2A, 2B)
+ * @return {Null|String}            Sub-block label, or null if the block is not a sub-block
+ */
+export function getSubBlockLabelForBlockName(roleDefinition, blockName) {
+    return (
+        [...roleDefinition.subBlockLabels]
+            .sort((label1, label2) => label2.length - label1.length)
+            .find((label) => blockName?.endsWith(label)) ?? null
+    );
+}
+
+// Helpers
+// -------
+
+/**
+ * Build the definition of a role from its item in the Roles table
+ * @param  {Object} item    Item with keys `role`, and optional `block_length` and
+ *                              `sub_block_labels`
+ * @return {Object}         Object with keys `role`, `blockLength` (null if not set), and
+ *                              `subBlockLabels` (array)
+ */
+function buildRoleDefinition({
+    role,
+    block_length: blockLength,
+    sub_block_labels: subBlockLabels,
+}) {
+    return {
+        role,
+        blockLength: blockLength ? Number(blockLength) : null,
+        subBlockLabels: String(subBlockLabels ?? "")
+            .split(/\s+/)
+            .filter((label) => label !== ""),
+    };
+}
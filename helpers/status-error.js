@@ -1,9 +1,35 @@
+// Machine-readable codes of the errors returned by the API, see `buildError`. Warnings in responses
+// use the same codes
+export const ERROR_CODE_INVALID_REQUEST = "INVALID_REQUEST",
+    ERROR_CODE_DATE_OUT_OF_RANGE = "DATE_OUT_OF_RANGE",
+    ERROR_CODE_NO_BLOCK_FOUND = "NO_BLOCK_FOUND",
+    ERROR_CODE_DATE_TEMPLATE_MISSING = "DATE_TEMPLATE_MISSING",
+    ERROR_CODE_DAY_PAST_BLOCK_LENGTH = "DAY_PAST_BLOCK_LENGTH",
+    ERROR_CODE_UNAUTHORIZED = "UNAUTHORIZED",
+    ERROR_CODE_FORBIDDEN = "FORBIDDEN",
+    ERROR_CODE_NOT_FOUND = "NOT_FOUND",
+    ERROR_CODE_TOO_MANY_ATTEMPTS = "TOO_MANY_ATTEMPTS",
+    ERROR_CODE_INTERNAL = "INTERNAL_ERROR";
+
+// Code of errors that are not given a more specific one
+const ERROR_CODE_BY_STATUS_CODE = {
+    400: ERROR_CODE_INVALID_REQUEST,
+    401: ERROR_CODE_UNAUTHORIZED,
+    403: ERROR_CODE_FORBIDDEN,
+    404: ERROR_CODE_NOT_FOUND,
+    429: ERROR_CODE_TOO_MANY_ATTEMPTS,
+};
+
 /**
- * Custom Error subclass that has ability specify http status code
+ * Custom Error subclass that has ability specify http status code, along with a machine-readable
+ * code (one of the `ERROR_CODE_*` constants, defaulting to the one for the status code) and
+ * optional details for the client
  */
 export default class StatusError extends Error {
-    constructor(statusCode, message) {
+    constructor(statusCode, message, code = null, details = null) {
         super(message);
         this.statusCode = statusCode;
+        this.code = code ?? ERROR_CODE_BY_STATUS_CODE[statusCode] ?? ERROR_CODE_INTERNAL;
+        this.details = details;
     }
 }
@@ -0,0 +1,103 @@
+import { buildItemId, getHistoryTableNames } from "../changes.js";
+
+/**
+ * Wrap storage so that the tables whose changes are recorded (see `getHistoryTableNames`) are read as
+ * they were at a point in time, by undoing every change recorded since then. Changes made outside of
+ * the app, such as edits in the DynamoDB console, are not recorded and so cannot be undone. Each of
+ * these tables is read whole and kept in memory for the life of the returned storage, so build it
+ * for each request and only use it to read
+ * @param  {Object} storage     Storage built by `buildStorage`
+ * @param  {DayJS} asOf         DayJS date object, changes made after this are undone
+ * @return {Object}             Storage object with the same methods
+ */
+export function withDataAsOf(storage, asOf) {
+    const historyTableNames = new Set(getHistoryTableNames()),
+        // changes made within the same millisecond as `asOf` are kept
+        since = asOf.add(1, "millisecond").toISOString(),
+        itemsPromiseByTableName = new Map(),
+        loadItems = (tableName) => {
+            if (!itemsPromiseByTableName.has(tableName)) {
+                itemsPromiseByTableName.set(tableName, readItemsAsOf(storage, tableName, since));
+            }
+            return itemsPromiseByTableName.get(tableName);
+        };
+    return {
+        ...storage,
+        getAllItems: async (tableName) =>
+            historyTableNames.has(tableName)
+                ? [...(await loadItems(tableName))]
+                : storage.getAllItems(tableName),
+        getBlocksForDateRange: async (fromDate, toDate) =>
+            (await loadItems(process.env.TABLE_BLOCKS)).filter(
+                ({ start_date: startDate, end_date: endDate }) =>
+                    startDate <= toDate && endDate >= fromDate
+            ),
+        getSchedulesForRoleAndBlockName: async (role, blockName) =>
+            (await loadItems(process.env.TABLE_SCHEDULES))
+                .filter((schedule) => schedule.role === role)
+                // mirrors the projection of the DynamoDB storage
+                .map(({ name, [blockName]: assignment }) =>
+                    assignment === undefined ? { name } : { name, [blockName]: assignment }
+                ),
+        getScheduleForName: async (name) =>
+            (await loadItems(process.env.TABLE_SCHEDULES)).find(
+                (schedule) => schedule.name === name
+            ) ?? null,
+        getSchedules: async () => [...(await loadItems(process.env.TABLE_SCHEDULES))],
+        getTemplatesForRoleAndBlockType: async (role, blockType) =>
+            (await loadItems(process.env.TABLE_TEMPLATES)).filter(
+                (template) =>
+                    template.role === role &&
+                    (template.block_type === "Any" || template.block_type === blockType)
+            ),
+        getDateTemplateForServiceAndDate: async (service, date) =>
+            (await loadItems(process.env.TABLE_DATE_TEMPLATES)).find(
+                (template) => template.service === service && template.date === date
+            ) ?? null,
+        getServiceRegexes: () => loadItems(process.env.TABLE_SERVICE_REGEX),
+        getRoles: () => loadItems(process.env.TABLE_ROLES),
+        getOverridesForScope: async (scope) =>
+            (await loadItems(process.env.TABLE_OVERRIDES)).filter(
+                (override) => override.scope === scope
+            ),
+        getOverride: async (id) =>
+            (await loadItems(process.env.TABLE_OVERRIDES)).find((override) => override.id === id) ??
+            null,
+        getLeaveForRoleAndDateRange: async (role, fromDate, toDate) =>
+            (await loadItems(process.env.TABLE_LEAVE)).filter(
+                ({ role: leaveRole, start_date: startDate, end_date: endDate }) =>
+                    leaveRole === role && startDate <= toDate && endDate >= fromDate
+            ),
+        getLeave: async (id) =>
+            (await loadItems(process.env.TABLE_LEAVE)).find((leave) => leave.id === id) ?? null,
+    };
+}
+
+// Helpers
+// -------
+
+/**
+ * Read the items of a table as they were before the changes recorded since a point in time
+ * @param  {Object} storage     Storage built by `buildStorage`
+ * @param  {String} tableName   One of the names returned by `getHistoryTableNames`
+ * @param  {String} since       Timestamp of the first change to undo
+ * @return {Array}              Items in the table at that point in time
+ */
+async function readItemsAsOf(storage, tableName, since) {
+    const [items, keyAttributes, changes] = await Promise.all([
+            storage.getAllItems(tableName),
+            storage.getKeyAttributes(tableName),
+            storage.getChangesSince(tableName, since),
+        ]),
+        // the earliest change to an item since then has the item as it was before any of them
+        itemBeforeById = new Map();
+    for (const { itemId, before } of changes) {
+        if (!itemBeforeById.has(itemId)) {
+            itemBeforeById.set(itemId, before);
+        }
+    }
+    return [
+        ...items.filter((item) => !itemBeforeById.has(buildItemId(keyAttributes, item))),
+        ...[...itemBeforeById.values()].filter((item) => item !== null),
+    ];
+}
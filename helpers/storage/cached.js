@@ -0,0 +1,111 @@
+import { clearRegexCache } from "../regex.js";
+
+/**
+ * Wrap storage so that schedule data is kept in memory for as long as the Lambda container is warm.
+ * Schedule data only changes when a new academic year or a correction is imported, so every write
+ * through this storage clears the cache and bumps the shared data version. Other containers notice
+ * the new version the next time they check it, which is at most once every `checkIntervalSeconds`
+ * @param  {Object} storage                 Storage built by one of the storage backends
+ * @param  {Number} checkIntervalSeconds    How often to check whether another container changed
+ *                                              the data
+ * @return {Object}                         Storage object with the same methods plus
+ *                                              `invalidateCache()`
+ */
+export function withContainerCache(storage, checkIntervalSeconds) {
+    const promiseByKey = new Map(),
+        version = { current: null, checkedAt: 0, checkPromise: null },
+        clear = () => {
+            promiseByKey.clear();
+            clearRegexCache();
+        },
+        // only one version check is in flight at a time even with many concurrent lookups
+        checkVersion = () => {
+            if (Date.now() - version.checkedAt < checkIntervalSeconds * 1000) {
+                return Promise.resolve();
+            }
+            version.checkPromise ??= storage
+                .getDataVersion()
+                .then((dataVersion) => {
+                    if (dataVersion !== version.current) {
+                        clear();
+                        version.current = dataVersion;
+                    }
+                    version.checkedAt = Date.now();
+                })
+                .finally(() => {
+                    version.checkPromise = null;
+                });
+            return version.checkPromise;
+        },
+        getCached = async (key, fetchFn) => {
+            await checkVersion();
+            if (!promiseByKey.has(key)) {
+                const promise = fetchFn();
+                promiseByKey.set(key, promise);
+                // do not keep failed lookups so that they are retried
+                promise.catch(() => {
+                    if (promiseByKey.get(key) === promise) {
+                        promiseByKey.delete(key);
+                    }
+                });
+            }
+            return promiseByKey.get(key);
+        },
+        invalidateCache = async () => {
+            await storage.bumpDataVersion();
+            clear();
+            version.checkedAt = 0;
+        };
+    return {
+        ...storage,
+        writeItems: async (tableName, itemsToPut, keysToDelete) => {
+            try {
+                await storage.writeItems(tableName, itemsToPut, keysToDelete);
+            } finally {
+                // even a partial write changes the data
+                await invalidateCache();
+            }
+        },
+        // the Blocks table only has a few rows per role so all of it is cached and filtered here
+        getBlocksForDateRange: async (fromDate, toDate) =>
+            (await getCached("blocks", () => storage.getAllItems(process.env.TABLE_BLOCKS))).filter(
+                ({ start_date: startDate, end_date: endDate }) =>
+                    startDate <= toDate && endDate >= fromDate
+            ),
+        getSchedulesForRoleAndBlockName: (role, blockName) =>
+            getCached(`schedules:${role}:${blockName}`, () =>
+                storage.getSchedulesForRoleAndBlockName(role, blockName)
+            ),
+        getScheduleForName: async (name) => {
+            const key = `schedule:${name}`,
+                schedule = await getCached(key, () => storage.getScheduleForName(name));
+            // names come from user input so unknown names are not kept
+            if (!schedule) {
+                promiseByKey.delete(key);
+            }
+            return schedule;
+        },
+        // the whole table is read for searches, which run on each keystroke of the people search
+        getSchedules: () => getCached("schedules", () => storage.getSchedules()),
+        getTemplatesForRoleAndBlockType: (role, blockType) =>
+            getCached(`templates:${role}:${blockType}`, () =>
+                storage.getTemplatesForRoleAndBlockType(role, blockType)
+            ),
+        getDateTemplateForServiceAndDate: (service, date) =>
+            getCached(`dateTemplate:${service}:${date}`, () =>
+                storage.getDateTemplateForServiceAndDate(service, date)
+            ),
+        getServiceRegexes: () => getCached("serviceRegex", () => storage.getServiceRegexes()),
+        getRoles: () => getCached("roles", () => storage.getRoles()),
+        getProgramYears: async (programId) => {
+            const key = `programYears:${programId}`,
+                programYears = await getCached(key, () => storage.getProgramYears(programId));
+            // program ids come from the URL so unknown programs are not kept
+            if (programYears.length === 0) {
+                promiseByKey.delete(key);
+            }
+            return programYears;
+        },
+        invalidateCache,
+    };
+}
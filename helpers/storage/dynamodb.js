@@ -0,0 +1,422 @@
+import { DescribeTableCommand } from "@aws-sdk/client-dynamodb";
+import {
+    BatchWriteCommand,
+    DeleteCommand,
+    GetCommand,
+    PutCommand,
+    QueryCommand,
+    ScanCommand,
+    UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { buildGetTableName } from "./table-names.js";
+
+// DynamoDB limits the number of items in a single batch write
+const MAX_BATCH_SIZE = 25,
+    MAX_BATCH_ATTEMPTS = 5,
+    // Key of the item in the metadata table whose version changes whenever schedule data changes
+    KEY_DATA_VERSION = "data_version";
+
+/**
+ * Build storage backed by DynamoDB, see `helpers/storage/index.js` for the methods
+ * @param  {DynamoDBDocumentClient} client  DynamoDB document client
+ * @param  {String} tablePrefix             Table prefix of a program year, see `buildGetTableName`
+ * @return {Object}                         Storage object
+ */
+export function buildDynamoDbStorage(client, tablePrefix = "") {
+    const getTableName = buildGetTableName(tablePrefix),
+        // each program year has its own data version so that writing one does not clear the others
+        dataVersionKey = `${tablePrefix}${KEY_DATA_VERSION}`;
+    return {
+        getAllItems: (tableName) => getAllItems(client, getTableName(tableName)),
+        getKeyAttributes: (tableName) => getKeyAttributes(client, getTableName(tableName)),
+        writeItems: (tableName, itemsToPut, keysToDelete) =>
+            writeItems(client, getTableName(tableName), itemsToPut, keysToDelete),
+        checkTable: (tableName) => checkTable(client, getTableName(tableName)),
+        getBlocksForDateRange: async (fromDate, toDate) => {
+            const params = {
+                TableName: getTableName(process.env.TABLE_BLOCKS),
+                FilterExpression: "start_date <= :toDate And end_date >= :fromDate",
+                ExpressionAttributeValues: {
+                    ":fromDate": fromDate,
+                    ":toDate": toDate,
+                },
+            };
+            const { Items: blocks } = await client.send(new ScanCommand(params));
+            return blocks;
+        },
+        getSchedulesForRoleAndBlockName: async (role, blockName) => {
+            const params = {
+                TableName: getTableName(process.env.TABLE_SCHEDULES),
+                ExpressionAttributeNames: {
+                    "#name": "name",
+                    "#role": "role",
+                    "#blockName": blockName,
+                },
+                // schedules are partitioned by role
+                KeyConditionExpression: "#role = :role",
+                ExpressionAttributeValues: {
+                    ":role": role,
+                },
+                ProjectionExpression: "#name,#blockName",
+            };
+            return queryAllItems(client, params);
+        },
+        getScheduleForName: async (name) => {
+            const params = {
+                TableName: getTableName(process.env.TABLE_SCHEDULES),
+                IndexName: process.env.INDEX_SCHEDULES_BY_NAME,
+                ExpressionAttributeNames: {
+                    "#name": "name",
+                },
+                KeyConditionExpression: "#name = :name",
+                ExpressionAttributeValues: {
+                    ":name": name,
+                },
+            };
+            const { Items: schedules } = await client.send(new QueryCommand(params));
+            return schedules[0] ?? null;
+        },
+        getSchedules: () => getAllItems(client, getTableName(process.env.TABLE_SCHEDULES)),
+        getTemplatesForRoleAndBlockType: async (role, blockType) => {
+            const params = {
+                TableName: getTableName(process.env.TABLE_TEMPLATES),
+                ExpressionAttributeNames: {
+                    "#role": "role",
+                    "#blockTypeOne": "block_type",
+                    "#blockTypeTwo": "block_type",
+                },
+                // templates are partitioned by role
+                KeyConditionExpression: "#role = :role",
+                FilterExpression: "#blockTypeOne = :blockTypeOne Or #blockTypeTwo = :blockTypeTwo",
+                ExpressionAttributeValues: {
+                    ":role": role,
+                    ":blockTypeOne": "Any",
+                    ":blockTypeTwo": blockType,
+                },
+            };
+            return queryAllItems(client, params);
+        },
+        getDateTemplateForServiceAndDate: async (service, date) => {
+            const params = {
+                TableName: getTableName(process.env.TABLE_DATE_TEMPLATES),
+                Key: { service, date },
+            };
+            const { Item: template } = await client.send(new GetCommand(params));
+            return template ?? null;
+        },
+        getServiceRegexes: () => getAllItems(client, getTableName(process.env.TABLE_SERVICE_REGEX)),
+        getRoles: () => getAllItems(client, getTableName(process.env.TABLE_ROLES)),
+        getProgramYears: (programId) =>
+            queryAllItems(client, {
+                TableName: process.env.TABLE_PROGRAMS,
+                ExpressionAttributeNames: {
+                    "#programId": "program_id",
+                },
+                KeyConditionExpression: "#programId = :programId",
+                ExpressionAttributeValues: {
+                    ":programId": programId,
+                },
+            }),
+        getDataVersion: async () => {
+            const params = {
+                TableName: process.env.TABLE_METADATA,
+                Key: { key: dataVersionKey },
+            };
+            const { Item: metadata } = await client.send(new GetCommand(params));
+            return metadata?.version ?? 0;
+        },
+        bumpDataVersion: async () => {
+            await client.send(
+                new UpdateCommand({
+                    TableName: process.env.TABLE_METADATA,
+                    Key: { key: dataVersionKey },
+                    UpdateExpression: "ADD version :one",
+                    ExpressionAttributeValues: { ":one": 1 },
+                })
+            );
+        },
+        getOverridesForScope: (scope) =>
+            queryAllItems(client, {
+                TableName: getTableName(process.env.TABLE_OVERRIDES),
+                IndexName: process.env.INDEX_OVERRIDES_BY_SCOPE,
+                ExpressionAttributeNames: {
+                    "#scope": "scope",
+                },
+                KeyConditionExpression: "#scope = :scope",
+                ExpressionAttributeValues: {
+                    ":scope": scope,
+                },
+            }),
+        getOverride: async (id) => {
+            const params = {
+                TableName: getTableName(process.env.TABLE_OVERRIDES),
+                Key: { id },
+            };
+            const { Item: override } = await client.send(new GetCommand(params));
+            return override ?? null;
+        },
+        putOverride: async (override) => {
+            await client.send(
+                new PutCommand({
+                    TableName: getTableName(process.env.TABLE_OVERRIDES),
+                    Item: override,
+                })
+            );
+        },
+        deleteOverride: async (id) => {
+            await client.send(
+                new DeleteCommand({
+                    TableName: getTableName(process.env.TABLE_OVERRIDES),
+                    Key: { id },
+                })
+            );
+        },
+        getLeaveForRoleAndDateRange: (role, fromDate, toDate) =>
+            queryAllItems(client, {
+                TableName: getTableName(process.env.TABLE_LEAVE),
+                IndexName: process.env.INDEX_LEAVE_BY_ROLE,
+                ExpressionAttributeNames: {
+                    "#role": "role",
+                },
+                KeyConditionExpression: "#role = :role",
+                FilterExpression: "start_date <= :toDate And end_date >= :fromDate",
+                ExpressionAttributeValues: {
+                    ":role": role,
+                    ":fromDate": fromDate,
+                    ":toDate": toDate,
+                },
+            }),
+        getLeave: async (id) => {
+            const params = {
+                TableName: getTableName(process.env.TABLE_LEAVE),
+                Key: { id },
+            };
+            const { Item: leave } = await client.send(new GetCommand(params));
+            return leave ?? null;
+        },
+        putLeave: async (leave) => {
+            await client.send(
+                new PutCommand({ TableName: getTableName(process.env.TABLE_LEAVE), Item: leave })
+            );
+        },
+        deleteLeave: async (id) => {
+            await client.send(
+                new DeleteCommand({ TableName: getTableName(process.env.TABLE_LEAVE), Key: { id } })
+            );
+        },
+        addChanges: (changes) =>
+            writeItems(client, getTableName(process.env.TABLE_CHANGES), changes, []),
+        getChangesSince: (tableName, since) =>
+            queryAllItems(client, {
+                TableName: getTableName(process.env.TABLE_CHANGES),
+                ExpressionAttributeNames: {
+                    "#tableName": "tableName",
+                    "#changeId": "changeId",
+                },
+                // change ids start with when the change was made
+                KeyConditionExpression: "#tableName = :tableName And #changeId >= :since",
+                ExpressionAttributeValues: {
+                    ":tableName": tableName,
+                    ":since": since,
+                },
+            }),
+        getRecentChanges: async (tableName, limit, before) => {
+            const params = {
+                TableName: getTableName(process.env.TABLE_CHANGES),
+                ExpressionAttributeNames: {
+                    "#tableName": "tableName",
+                    ...(before ? { "#changeId": "changeId" } : {}),
+                },
+                KeyConditionExpression: before
+                    ? "#tableName = :tableName And #changeId < :before"
+                    : "#tableName = :tableName",
+                ExpressionAttributeValues: {
+                    ":tableName": tableName,
+                    ...(before ? { ":before": before } : {}),
+                },
+                // newest first
+                ScanIndexForward: false,
+                Limit: limit,
+            };
+            const { Items: changes } = await client.send(new QueryCommand(params));
+            return changes;
+        },
+        getSubscriptionsForProgram: (programId) =>
+            queryAllItems(client, {
+                TableName: process.env.TABLE_SUBSCRIPTIONS,
+                IndexName: process.env.INDEX_SUBSCRIPTIONS_BY_PROGRAM,
+                KeyConditionExpression: "programId = :programId",
+                ExpressionAttributeValues: { ":programId": programId },
+            }),
+        getSubscription: async (id) => {
+            const params = {
+                TableName: process.env.TABLE_SUBSCRIPTIONS,
+                Key: { id },
+            };
+            const { Item: subscription } = await client.send(new GetCommand(params));
+            return subscription ?? null;
+        },
+        putSubscription: async (subscription) => {
+            await client.send(
+                new PutCommand({ TableName: process.env.TABLE_SUBSCRIPTIONS, Item: subscription })
+            );
+        },
+        deleteSubscription: async (id) => {
+            await client.send(
+                new DeleteCommand({ TableName: process.env.TABLE_SUBSCRIPTIONS, Key: { id } })
+            );
+        },
+        getLoginAttempts: async (clientKey) => {
+            const params = {
+                TableName: process.env.TABLE_LOGIN_ATTEMPTS,
+                Key: { client_key: clientKey },
+            };
+            const { Item: attempts } = await client.send(new GetCommand(params));
+            return attempts ?? null;
+        },
+        addFailedLoginAttempt: (clientKey, now, expiresAt) =>
+            addFailedLoginAttempt(client, clientKey, now, expiresAt),
+        deleteLoginAttempts: async (clientKey) => {
+            await client.send(
+                new DeleteCommand({
+                    TableName: process.env.TABLE_LOGIN_ATTEMPTS,
+                    Key: { client_key: clientKey },
+                })
+            );
+        },
+    };
+}
+
+// Helpers
+// -------
+
+/**
+ * Gets all of the items in a table, following pagination
+ * @param  {DynamoDBDocumentClient} client  DynamoDB document client
+ * @param  {String} tableName               Table name
+ * @return {Array}                          All items in the table
+ */
+async function getAllItems(client, tableName) {
+    const items = [];
+    let exclusiveStartKey;
+    do {
+        const { Items: pageItems, LastEvaluatedKey: lastEvaluatedKey } = await client.send(
+            new ScanCommand({ TableName: tableName, ExclusiveStartKey: exclusiveStartKey })
+        );
+        items.push(...pageItems);
+        exclusiveStartKey = lastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return items;
+}
+
+/**
+ * Gets all of the items matching a query, following pagination
+ * @param  {DynamoDBDocumentClient} client  DynamoDB document client
+ * @param  {Object} params                  `QueryCommand` parameters
+ * @return {Array}                          All items matching the query
+ */
+async function queryAllItems(client, params) {
+    const items = [];
+    let exclusiveStartKey;
+    do {
+        const { Items: pageItems, LastEvaluatedKey: lastEvaluatedKey } = await client.send(
+            new QueryCommand({ ...params, ExclusiveStartKey: exclusiveStartKey })
+        );
+        items.push(...pageItems);
+        exclusiveStartKey = lastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return items;
+}
+
+/**
+ * Gets the names of the key attributes (partition key and sort key, if any) of a table
+ * @param  {DynamoDBDocumentClient} client  DynamoDB document client
+ * @param  {String} tableName               Table name
+ * @return {Array}                          Names of the key attributes
+ */
+async function getKeyAttributes(client, tableName) {
+    const {
+        Table: { KeySchema: keySchema },
+    } = await client.send(new DescribeTableCommand({ TableName: tableName }));
+    // the partition key (HASH) always comes before the sort key (RANGE)
+    return [...keySchema]
+        .sort((k1, k2) => (k1.KeyType === k2.KeyType ? 0 : k1.KeyType === "HASH" ? -1 : 1))
+        .map(({ AttributeName: attributeName }) => attributeName);
+}
+
+/**
+ * Check that a table exists and can be read and written
+ * @param  {DynamoDBDocumentClient} client  DynamoDB document client
+ * @param  {String} tableName               Table name
+ */
+async function checkTable(client, tableName) {
+    const {
+        Table: { TableStatus: tableStatus },
+    } = await client.send(new DescribeTableCommand({ TableName: tableName }));
+    // tables can still be used while their settings are updated
+    if (tableStatus !== "ACTIVE" && tableStatus !== "UPDATING") {
+        throw new Error(`Table ${tableName} is ${tableStatus}`);
+    }
+}
+
+/**
+ * Write items in batches, retrying unprocessed requests with exponential backoff
+ * @param  {DynamoDBDocumentClient} client  DynamoDB document client
+ * @param  {String} tableName               Table name
+ * @param  {Array} itemsToPut               Items to create or replace
+ * @param  {Array} keysToDelete             Keys of the items to delete
+ */
+async function writeItems(client, tableName, itemsToPut, keysToDelete) {
+    const requests = [
+        ...itemsToPut.map((item) => ({ PutRequest: { Item: item } })),
+        ...keysToDelete.map((key) => ({ DeleteRequest: { Key: key } })),
+    ];
+    for (let i = 0; i < requests.length; i += MAX_BATCH_SIZE) {
+        let batch = requests.slice(i, i + MAX_BATCH_SIZE);
+        for (let attempt = 1; batch.length > 0; attempt++) {
+            if (attempt > MAX_BATCH_ATTEMPTS) {
+                throw new Error(`Could not write ${batch.length} items to ${tableName}`);
+            }
+            const { UnprocessedItems: unprocessedItems } = await client.send(
+                new BatchWriteCommand({ RequestItems: { [tableName]: batch } })
+            );
+            batch = unprocessedItems?.[tableName] ?? [];
+            if (batch.length > 0) {
+                await new Promise((resolve) => setTimeout(resolve, 2 ** attempt * 50));
+            }
+        }
+    }
+}
+
+/**
+ * Add a failed login attempt, starting a new window if the previous window has expired
+ * @param  {DynamoDBDocumentClient} client  DynamoDB document client
+ * @param  {String} clientKey               Key identifying the client (e.g., IP address)
+ * @param  {Number} now                     Current Unix timestamp in seconds
+ * @param  {Number} expiresAt               Unix timestamp in seconds when a new window would expire
+ */
+async function addFailedLoginAttempt(client, clientKey, now, expiresAt) {
+    try {
+        await client.send(
+            new UpdateCommand({
+                TableName: process.env.TABLE_LOGIN_ATTEMPTS,
+                Key: { client_key: clientKey },
+                UpdateExpression:
+                    "SET expires_at = if_not_exists(expires_at, :expiresAt) ADD num_failed :one",
+                ConditionExpression: "attribute_not_exists(client_key) Or expires_at > :now",
+                ExpressionAttributeValues: { ":expiresAt": expiresAt, ":one": 1, ":now": now },
+            })
+        );
+    } catch (error) {
+        if (error.name !== "ConditionalCheckFailedException") {
+            throw error;
+        }
+        // the previous window has expired so start a new window
+        await client.send(
+            new PutCommand({
+                TableName: process.env.TABLE_LOGIN_ATTEMPTS,
+                Item: { client_key: clientKey, num_failed: 1, expires_at: expiresAt },
+            })
+        );
+    }
+}
@@ -0,0 +1,99 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
+import { withContainerCache } from "./cached.js";
+import { buildDynamoDbStorage } from "./dynamodb.js";
+import { buildLocalStorage } from "./local.js";
+import { withTiming } from "./timed.js";
+
+// Storage objects are kept for each table prefix so that their caches are shared between requests
+const storageByTablePrefix = new Map();
+
+/**
+ * Build the storage backend chosen by the `STORAGE_BACKEND` environment variable, either `dynamodb`
+ * (the default) or `local` to read JSON files from the `STORAGE_LOCAL_DIR` directory. Schedule
+ * data is cached for as long as the container is warm, see `withContainerCache`, and calls that
+ * reach the backend are timed and logged, see `withTiming`. Each academic year of each program has
+ * its own storage, see `buildGetTableName`, and the storage without a table prefix is used for the
+ * tables shared by every program.
+ *
+ * All backends return objects with the following async methods, where dates are strings in the
+ * standard format and items are plain objects keyed by column name
+ *  - `getAllItems(tableName)`: all items in a table
+ *  - `getKeyAttributes(tableName)`: names of the key attributes of a table
+ *  - `writeItems(tableName, itemsToPut, keysToDelete)`: create or replace and delete items
+ *  - `checkTable(tableName)`: throw unless a table can be used, see `buildHealthReport`
+ *  - `getBlocksForDateRange(fromDate, toDate)`: blocks that overlap with the date range
+ *  - `getSchedulesForRoleAndBlockName(role, blockName)`: schedules for a role with only the `name`
+ *        and `blockName` columns
+ *  - `getScheduleForName(name)`: a person's schedule, null if not found
+ *  - `getSchedules()`: everyone's schedules, see `searchPeople`
+ *  - `getTemplatesForRoleAndBlockType(role, blockType)`: templates for a role whose `block_type` is
+ *        `Any` or the given block type (a sub-block label such as `A` or `B`)
+ *  - `getDateTemplateForServiceAndDate(service, date)`: the date template of a site for a date,
+ *        null if not found
+ *  - `getServiceRegexes()`: all service regular expressions
+ *  - `getRoles()`: the definitions of all roles, see `getRoleDefinitionByRole`
+ *  - `getProgramYears(programId)`: the academic years of a program, see `getProgram`
+ *  - `getDataVersion()`: number that changes whenever schedule data is written
+ *  - `bumpDataVersion()`: change the data version so that every container clears its cache
+ *  - `getOverridesForScope(scope)`: overrides with the given `scope`
+ *  - `getOverride(id)`: an override, null if not found
+ *  - `putOverride(override)`: create or replace an override
+ *  - `deleteOverride(id)`: delete an override
+ *  - `getLeaveForRoleAndDateRange(role, fromDate, toDate)`: leave of a role that overlaps with the
+ *        date range
+ *  - `getLeave(id)`: a leave range, null if not found
+ *  - `putLeave(leave)`: create or replace a leave range
+ *  - `deleteLeave(id)`: delete a leave range
+ *  - `addChanges(changes)`: record changes to the items of other tables, see `recordChanges`
+ *  - `getChangesSince(tableName, since)`: changes to a table made at or after a timestamp, oldest
+ *        first
+ *  - `getRecentChanges(tableName, limit, before)`: the most recent changes to a table whose
+ *        `changeId` comes before `before` (or any if null), newest first
+ *  - `getSubscriptionsForProgram(programId)`: digest subscriptions of a program
+ *  - `getSubscription(id)`: a digest subscription, null if not found
+ *  - `putSubscription(subscription)`: create or replace a digest subscription
+ *  - `deleteSubscription(id)`: delete a digest subscription
+ *  - `getLoginAttempts(clientKey)`: failed login attempts for a client, null if none
+ *  - `addFailedLoginAttempt(clientKey, now, expiresAt)`: add a failed login attempt, starting a
+ *        new window that expires at `expiresAt` if the current window has expired by `now`
+ *  - `deleteLoginAttempts(clientKey)`: clear failed login attempts for a client
+ * @param  {String} tablePrefix Table prefix of a program year, empty for the shared tables
+ * @return {Object}             Storage object, which also has an `invalidateCache()` method
+ */
+export function buildStorage(tablePrefix = "") {
+    if (!storageByTablePrefix.has(tablePrefix)) {
+        storageByTablePrefix.set(
+            tablePrefix,
+            withContainerCache(
+                withTiming(buildUncachedStorage(tablePrefix), tablePrefix),
+                Number(process.env.STORAGE_CACHE_CHECK_SECONDS)
+            )
+        );
+    }
+    return storageByTablePrefix.get(tablePrefix);
+}
+
+// Helpers
+// -------
+
+/**
+ * Build the storage backend chosen by the `STORAGE_BACKEND` environment variable without caching
+ * @param  {String} tablePrefix Table prefix of a program year, empty for the shared tables
+ * @return {Object}             Storage object
+ */
+function buildUncachedStorage(tablePrefix) {
+    switch (process.env.STORAGE_BACKEND) {
+        case "local":
+            return buildLocalStorage(process.env.STORAGE_LOCAL_DIR, tablePrefix);
+        case "dynamodb":
+        case undefined:
+        case "":
+            return buildDynamoDbStorage(
+                DynamoDBDocumentClient.from(new DynamoDBClient()),
+                tablePrefix
+            );
+        default:
+            throw new Error(`Unknown storage backend: ${process.env.STORAGE_BACKEND}`);
+    }
+}
@@ -0,0 +1,196 @@
+import { access, readFile, writeFile } from "fs/promises";
+import path from "path";
+import { buildGetTableName } from "./table-names.js";
+
+/**
+ * Build storage backed by JSON files, one per table named after the table (e.g., `Blocks.json`) with
+ * an array of items. Meant for local development and tests without AWS credentials. Login attempts
+ * and the data version are only kept in memory. See `helpers/storage/index.js` for the methods
+ * @param  {String} directory   Directory containing the JSON files
+ * @param  {String} tablePrefix Table prefix of a program year, see `buildGetTableName`
+ * @return {Object}             Storage object
+ */
+export function buildLocalStorage(directory, tablePrefix = "") {
+    const getTableName = buildGetTableName(tablePrefix),
+        itemsPromiseByTableName = new Map(),
+        loginAttemptsByClientKey = new Map(),
+        metadata = { dataVersion: 0 },
+        // files are only read once and then kept in memory
+        loadItems = (tableName) => {
+            if (!itemsPromiseByTableName.has(tableName)) {
+                itemsPromiseByTableName.set(
+                    tableName,
+                    readItems(directory, getTableName(tableName))
+                );
+            }
+            return itemsPromiseByTableName.get(tableName);
+        },
+        writeItemsNow = async (tableName, itemsToPut, keysToDelete) => {
+            const keyAttributes = getKeyAttributesByTableName()[tableName] ?? [],
+                buildId = (item) => keyAttributes.map((attribute) => item[attribute]).join("\n"),
+                idsToRemove = new Set([...itemsToPut, ...keysToDelete].map(buildId)),
+                items = [
+                    ...(await loadItems(tableName)).filter(
+                        (item) => !idsToRemove.has(buildId(item))
+                    ),
+                    ...itemsToPut,
+                ];
+            itemsPromiseByTableName.set(tableName, Promise.resolve(items));
+            await writeFile(
+                path.join(directory, `${getTableName(tableName)}.json`),
+                JSON.stringify(items, null, 4) + "\n"
+            );
+        },
+        writePromiseByTableName = new Map(),
+        // writes to a table are read-modify-write, so each one waits for the previous one to
+        // finish to not write over it, even if it failed
+        writeItems = (tableName, itemsToPut, keysToDelete) => {
+            const writePromise = (writePromiseByTableName.get(tableName) ?? Promise.resolve())
+                .catch(() => {})
+                .then(() => writeItemsNow(tableName, itemsToPut, keysToDelete));
+            writePromiseByTableName.set(tableName, writePromise);
+            return writePromise;
+        };
+    return {
+        getAllItems: async (tableName) => [...(await loadItems(tableName))],
+        getKeyAttributes: async (tableName) => getKeyAttributesByTableName()[tableName] ?? [],
+        writeItems,
+        // missing files are empty tables, so only the directory has to be there
+        checkTable: async (tableName) => {
+            await access(directory);
+            await loadItems(tableName);
+        },
+        getBlocksForDateRange: async (fromDate, toDate) =>
+            (await loadItems(process.env.TABLE_BLOCKS)).filter(
+                ({ start_date: startDate, end_date: endDate }) =>
+                    startDate <= toDate && endDate >= fromDate
+            ),
+        getSchedulesForRoleAndBlockName: async (role, blockName) =>
+            (await loadItems(process.env.TABLE_SCHEDULES))
+                .filter((schedule) => schedule.role === role)
+                // mirrors the projection of the DynamoDB storage
+                .map(({ name, [blockName]: assignment }) =>
+                    assignment === undefined ? { name } : { name, [blockName]: assignment }
+                ),
+        getScheduleForName: async (name) =>
+            (await loadItems(process.env.TABLE_SCHEDULES)).find(
+                (schedule) => schedule.name === name
+            ) ?? null,
+        getSchedules: async () => [...(await loadItems(process.env.TABLE_SCHEDULES))],
+        getTemplatesForRoleAndBlockType: async (role, blockType) =>
+            (await loadItems(process.env.TABLE_TEMPLATES)).filter(
+                (template) =>
+                    template.role === role &&
+                    (template.block_type === "Any" || template.block_type === blockType)
+            ),
+        getDateTemplateForServiceAndDate: async (service, date) =>
+            (await loadItems(process.env.TABLE_DATE_TEMPLATES)).find(
+                (template) => template.service === service && template.date === date
+            ) ?? null,
+        getServiceRegexes: () => loadItems(process.env.TABLE_SERVICE_REGEX),
+        getRoles: () => loadItems(process.env.TABLE_ROLES),
+        getProgramYears: async (programId) =>
+            (await loadItems(process.env.TABLE_PROGRAMS)).filter(
+                (programYear) => programYear.program_id === programId
+            ),
+        getDataVersion: async () => metadata.dataVersion,
+        bumpDataVersion: async () => {
+            metadata.dataVersion++;
+        },
+        getOverridesForScope: async (scope) =>
+            (await loadItems(process.env.TABLE_OVERRIDES)).filter(
+                (override) => override.scope === scope
+            ),
+        getOverride: async (id) =>
+            (await loadItems(process.env.TABLE_OVERRIDES)).find((override) => override.id === id) ??
+            null,
+        putOverride: (override) => writeItems(process.env.TABLE_OVERRIDES, [override], []),
+        deleteOverride: (id) => writeItems(process.env.TABLE_OVERRIDES, [], [{ id }]),
+        getLeaveForRoleAndDateRange: async (role, fromDate, toDate) =>
+            (await loadItems(process.env.TABLE_LEAVE)).filter(
+                ({ role: leaveRole, start_date: startDate, end_date: endDate }) =>
+                    leaveRole === role && startDate <= toDate && endDate >= fromDate
+            ),
+        getLeave: async (id) =>
+            (await loadItems(process.env.TABLE_LEAVE)).find((leave) => leave.id === id) ?? null,
+        putLeave: (leave) => writeItems(process.env.TABLE_LEAVE, [leave], []),
+        deleteLeave: (id) => writeItems(process.env.TABLE_LEAVE, [], [{ id }]),
+        addChanges: (changes) => writeItems(process.env.TABLE_CHANGES, changes, []),
+        getChangesSince: async (tableName, since) =>
+            (await loadItems(process.env.TABLE_CHANGES))
+                .filter((change) => change.tableName === tableName && change.changeId >= since)
+                .sort((c1, c2) => (c1.changeId > c2.changeId ? 1 : -1)),
+        getRecentChanges: async (tableName, limit, before) =>
+            (await loadItems(process.env.TABLE_CHANGES))
+                .filter(
+                    (change) =>
+                        change.tableName === tableName && (!before || change.changeId < before)
+                )
+                .sort((c1, c2) => (c1.changeId < c2.changeId ? 1 : -1))
+                .slice(0, limit),
+        getSubscriptionsForProgram: async (programId) =>
+            (await loadItems(process.env.TABLE_SUBSCRIPTIONS)).filter(
+                (subscription) => subscription.programId === programId
+            ),
+        getSubscription: async (id) =>
+            (await loadItems(process.env.TABLE_SUBSCRIPTIONS)).find(
+                (subscription) => subscription.id === id
+            ) ?? null,
+        putSubscription: (subscription) =>
+            writeItems(process.env.TABLE_SUBSCRIPTIONS, [subscription], []),
+        deleteSubscription: (id) => writeItems(process.env.TABLE_SUBSCRIPTIONS, [], [{ id }]),
+        getLoginAttempts: async (clientKey) => loginAttemptsByClientKey.get(clientKey) ?? null,
+        addFailedLoginAttempt: async (clientKey, now, expiresAt) => {
+            const attempts = loginAttemptsByClientKey.get(clientKey);
+            loginAttemptsByClientKey.set(
+                clientKey,
+                attempts && attempts.expires_at > now
+                    ? { ...attempts, num_failed: attempts.num_failed + 1 }
+                    : { client_key: clientKey, num_failed: 1, expires_at: expiresAt }
+            );
+        },
+        deleteLoginAttempts: async (clientKey) => {
+            loginAttemptsByClientKey.delete(clientKey);
+        },
+    };
+}
+
+// Helpers
+// -------
+
+/**
+ * Key attributes for each table, mirroring the key schemas of the DynamoDB tables
+ * @return {Object} Keys are table names, values are arrays of key attribute names
+ */
+function getKeyAttributesByTableName() {
+    return {
+        [process.env.TABLE_BLOCKS]: ["role", "block"],
+        [process.env.TABLE_SCHEDULES]: ["role", "name"],
+        [process.env.TABLE_TEMPLATES]: ["role", "template_key"],
+        [process.env.TABLE_DATE_TEMPLATES]: ["service", "date"],
+        [process.env.TABLE_SERVICE_REGEX]: ["service", "expression"],
+        [process.env.TABLE_ROLES]: ["role"],
+        [process.env.TABLE_PROGRAMS]: ["program_id", "year"],
+        [process.env.TABLE_OVERRIDES]: ["id"],
+        [process.env.TABLE_LEAVE]: ["id"],
+        [process.env.TABLE_SUBSCRIPTIONS]: ["id"],
+        [process.env.TABLE_CHANGES]: ["tableName", "changeId"],
+    };
+}
+
+/**
+ * Read the items of a table from its JSON file, treating a missing file as an empty table
+ * @param  {String} directory   Directory containing the JSON files
+ * @param  {String} tableName   Table name
+ * @return {Array}              Items in the table
+ */
+async function readItems(directory, tableName) {
+    try {
+        return JSON.parse(await readFile(path.join(directory, `${tableName}.json`), "utf8"));
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return [];
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,24 @@
+/**
+ * Build a function that gets the actual name of a table. Each academic year of each program keeps
+ * its schedule data in its own tables whose names start with the year's table prefix, while tables
+ * shared by every program (`Programs`, `Metadata`, `LoginAttempts`, and `Subscriptions`) are never
+ * prefixed
+ * @param  {String} tablePrefix Table prefix of a program year, empty for unprefixed tables
+ * @return {Function}           Function that takes a table name from `serverless.yml` and returns
+ *                                  the name of the table to use
+ */
+export function buildGetTableName(tablePrefix) {
+    const prefixedTableNames = new Set([
+        process.env.TABLE_BLOCKS,
+        process.env.TABLE_SCHEDULES,
+        process.env.TABLE_TEMPLATES,
+        process.env.TABLE_DATE_TEMPLATES,
+        process.env.TABLE_SERVICE_REGEX,
+        process.env.TABLE_ROLES,
+        process.env.TABLE_OVERRIDES,
+        process.env.TABLE_LEAVE,
+        process.env.TABLE_CHANGES,
+    ]);
+    return (tableName) =>
+        prefixedTableNames.has(tableName) ? `${tablePrefix}${tableName}` : tableName;
+}
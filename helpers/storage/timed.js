@@ -0,0 +1,72 @@
+import { performance } from "perf_hooks";
+import { recordStorageCall } from "../logging.js";
+
+// Methods whose first argument is the name of the table they read or write
+const TABLE_NAME_METHODS = new Set([
+    "getAllItems",
+    "getKeyAttributes",
+    "writeItems",
+    "checkTable",
+    "getChangesSince",
+    "getRecentChanges",
+]);
+
+/**
+ * Wrap storage so that every call is timed and recorded with `recordStorageCall`, along with the
+ * number of items it returned. Wrap the storage of a backend before caching it, so that only calls
+ * that reach the backend are recorded
+ * @param  {Object} storage     Storage built by one of the storage backends
+ * @param  {String} tablePrefix Table prefix of the storage, see `buildGetTableName`
+ * @return {Object}             Storage object with the same methods
+ */
+export function withTiming(storage, tablePrefix) {
+    return Object.fromEntries(
+        Object.entries(storage).map(([method, fn]) => [
+            method,
+            async (...args) => {
+                const call = {
+                        method,
+                        tablePrefix,
+                        table: TABLE_NAME_METHODS.has(method) ? args[0] : null,
+                    },
+                    startedAt = performance.now();
+                try {
+                    const result = await fn(...args);
+                    recordStorageCall({
+                        ...call,
+                        durationMs: Math.round(performance.now() - startedAt),
+                        numItems: countItems(result),
+                    });
+                    return result;
+                } catch (error) {
+                    recordStorageCall({
+                        ...call,
+                        durationMs: Math.round(performance.now() - startedAt),
+                        numItems: null,
+                        error,
+                    });
+                    throw error;
+                }
+            },
+        ])
+    );
+}
+
+// Helpers
+// -------
+
+/**
+ * Count the items returned by a storage method
+ * @param  {*} result       What the method returned
+ * @return {Null|Number}    Length of an array, 1 for an item, 0 for null, or null if the method
+ *                              does not return items
+ */
+function countItems(result) {
+    if (Array.isArray(result)) {
+        return result.length;
+    }
+    if (result === undefined || typeof result === "number") {
+        return null;
+    }
+    return result === null ? 0 : 1;
+}
@@ -0,0 +1,192 @@
+import { randomUUID } from "crypto";
+import { getRoleByNameForNames } from "./db.js";
+import { tryBuildNames } from "./input.js";
+import { TRANSPORT_EMAIL, TRANSPORT_WEBHOOK } from "./notifications/index.js";
+import { isWebhookUrlAllowed } from "./notifications/webhook.js";
+import StatusError from "./status-error.js";
+
+const MAX_FRIENDS = 20,
+    // only checks the overall shape, the SMTP server has the final say
+    EMAIL_REGEX = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+/**
+ * Gets every digest subscription of a program, sorted by name
+ * @param  {Storage} sharedDb           Storage built by `buildStorage` without a table prefix
+ * @param  {String} programId           Program id
+ * @return {Array}                      Subscription items
+ */
+export async function getAllSubscriptions(sharedDb, programId) {
+    const subscriptions = await sharedDb.getSubscriptionsForProgram(programId);
+    return subscriptions.sort((s1, s2) => (s1.name === s2.name ? 0 : s1.name > s2.name ? 1 : -1));
+}
+
+/**
+ * Gets a single digest subscription of a program. Subscriptions of other cohorts are not found
+ * rather than forbidden so that their ids cannot be probed
+ * @param  {Storage} sharedDb           Storage built by `buildStorage` without a table prefix
+ * @param  {String} programId           Program id
+ * @param  {String} id                  Subscription id
+ * @param  {Null|String} ownerCohort    Cohort that must have created the subscription, or null for
+ *                                          any cohort, see `getOwnerCohort`
+ * @return {Object}                     Subscription item
+ */
+export async function getSubscriptionById(sharedDb, programId, id, ownerCohort) {
+    const subscription = await sharedDb.getSubscription(id);
+    if (
+        !subscription ||
+        subscription.programId !== programId ||
+        (ownerCohort !== null && subscription.createdBy !== ownerCohort)
+    ) {
+        throw new StatusError(404, "Could not find that subscription");
+    }
+    return subscription;
+}
+
+/**
+ * Validate and save a new digest subscription
+ * @param  {Storage} sharedDb           Storage built by `buildStorage` without a table prefix
+ * @param  {Storage} db                 Storage of the academic year that the names are checked
+ *                                          against
+ * @param  {String} programId           Program id
+ * @param  {Object} body                Request body, see `tryBuildSubscriptionFields`
+ * @param  {String} cohort              Cohort of the token used to make the change
+ * @return {Object}                     Saved subscription item
+ */
+export async function createSubscription(sharedDb, db, programId, body, cohort) {
+    const now = new Date().toISOString(),
+        subscription = {
+            id: randomUUID(),
+            programId,
+            ...(await tryBuildSubscriptionFields(db, body)),
+            createdAt: now,
+            createdBy: cohort,
+            updatedAt: now,
+            updatedBy: cohort,
+        };
+    await sharedDb.putSubscription(subscription);
+    return subscription;
+}
+
+/**
+ * Validate and replace an existing digest subscription, keeping when and by whom it was created
+ * @param  {Storage} sharedDb           Storage built by `buildStorage` without a table prefix
+ * @param  {Storage} db                 Storage of the academic year that the names are checked
+ *                                          against
+ * @param  {String} programId           Program id
+ * @param  {String} id                  Subscription id
+ * @param  {Object} body                Request body, see `tryBuildSubscriptionFields`
+ * @param  {String} cohort              Cohort of the token used to make the change
+ * @param  {Null|String} ownerCohort    Cohort that must have created the subscription, or null for
+ *                                          any cohort, see `getOwnerCohort`
+ * @return {Object}                     Saved subscription item
+ */
+export async function updateSubscription(sharedDb, db, programId, id, body, cohort, ownerCohort) {
+    const { createdAt, createdBy } = await getSubscriptionById(
+            sharedDb,
+            programId,
+            id,
+            ownerCohort
+        ),
+        subscription = {
+            id,
+            programId,
+            ...(await tryBuildSubscriptionFields(db, body)),
+            createdAt,
+            createdBy,
+            updatedAt: new Date().toISOString(),
+            updatedBy: cohort,
+        };
+    await sharedDb.putSubscription(subscription);
+    return subscription;
+}
+
+/**
+ * Delete an existing digest subscription
+ * @param  {Storage} sharedDb           Storage built by `buildStorage` without a table prefix
+ * @param  {String} programId           Program id
+ * @param  {String} id                  Subscription id
+ * @param  {Null|String} ownerCohort    Cohort that must have created the subscription, or null for
+ *                                          any cohort, see `getOwnerCohort`
+ */
+export async function deleteSubscription(sharedDb, programId, id, ownerCohort) {
+    await getSubscriptionById(sharedDb, programId, id, ownerCohort);
+    await sharedDb.deleteSubscription(id);
+}
+
+// Helpers
+// -------
+
+/**
+ * Validate the fields of a digest subscription in a request body
+ * @param  {Storage} db                 Storage of the academic year that the names are checked
+ *                                          against
+ * @param  {Object} body                Object with keys `name`, `friends` (names), optional
+ *                                          `includeMaybeOff`, and either `email` or `webhookUrl`
+ *                                          with optional `webhookFields` (object of extra fields
+ *                                          to send to the webhook)
+ * @return {Object}                     Subscription fields
+ */
+async function tryBuildSubscriptionFields(db, body) {
+    if (typeof body?.name !== "string" || body.name.trim() === "") {
+        throw new StatusError(400, "A `name` is required");
+    }
+    const name = body.name.trim(),
+        friends = tryBuildNames(body.friends).filter((friend) => friend !== name),
+        includeMaybeOff = body.includeMaybeOff ?? false;
+    if (friends.length === 0 || friends.length > MAX_FRIENDS) {
+        throw new StatusError(
+            400,
+            `The \`friends\` must be from 1 to ${MAX_FRIENDS} names other than your own`
+        );
+    }
+    if (typeof includeMaybeOff !== "boolean") {
+        throw new StatusError(400, "The `includeMaybeOff` must be true or false");
+    }
+    // throws if any of the names do not have a schedule
+    await getRoleByNameForNames(db, [name, ...friends]);
+    return { name, friends, includeMaybeOff, ...tryBuildDeliveryFields(body) };
+}
+
+/**
+ * Validate how a digest subscription is delivered
+ * @param  {Object} body                Request body, see `tryBuildSubscriptionFields`
+ * @return {Object}                     Object with keys `transport` (see `buildTransport`),
+ *                                          `address`, and `webhookFields` for webhooks
+ */
+function tryBuildDeliveryFields({ email, webhookUrl, webhookFields = {} }) {
+    if ((email == null) === (webhookUrl == null)) {
+        throw new StatusError(400, "Either an `email` or a `webhookUrl` is required, but not both");
+    }
+    if (email != null) {
+        if (typeof email !== "string" || !EMAIL_REGEX.test(email.trim())) {
+            throw new StatusError(400, "The `email` must be an email address");
+        }
+        return { transport: TRANSPORT_EMAIL, address: email.trim() };
+    }
+    let url = null;
+    try {
+        url = new URL(webhookUrl);
+    } catch (error) {
+        // handled below along with URLs that are not allowed
+    }
+    if (!url || !isWebhookUrlAllowed(url)) {
+        throw new StatusError(
+            400,
+            "The `webhookUrl` must be an https URL that is not for a private or local host"
+        );
+    }
+    if (
+        typeof webhookFields !== "object" ||
+        webhookFields === null ||
+        Array.isArray(webhookFields) ||
+        Object.entries(webhookFields).some(
+            ([key, value]) => key === "text" || typeof value !== "string"
+        )
+    ) {
+        throw new StatusError(
+            400,
+            "The `webhookFields` must be an object of text values and cannot include `text`"
+        );
+    }
+    return { transport: TRANSPORT_WEBHOOK, address: url.href, webhookFields };
+}
@@ -0,0 +1,225 @@
+import dayjs from "dayjs";
+import StatusError, { ERROR_CODE_INVALID_REQUEST } from "./status-error.js";
+
+// Request parts that a schema can validate, in the order their problems are listed
+const REQUEST_PARTS = ["params", "query", "body"],
+    MAX_NAME_LENGTH = 200,
+    MAX_NAMES = 100,
+    MAX_NOTE_LENGTH = 500;
+
+/**
+ * Build Express middleware that validates the params, query, and body of a request against a
+ * schema before the route runs, so that every problem with a request is reported at once in the
+ * `details` of a single `INVALID_REQUEST` error. Fields that are not in the schema are ignored, and
+ * checks that need stored data (e.g., whether a date is within the academic year) are left to the
+ * route
+ * @param  {Object} schema  Object with optional keys `params`, `query`, and `body`, values are
+ *                              objects whose keys are field names and values are rules (see
+ *                              `required` and the `is*` functions). The `body` can also be a single
+ *                              rule for bodies that are not JSON objects
+ * @return {Function}       Express middleware
+ */
+export function validateRequest(schema) {
+    return (req, res, next) => {
+        const details = [];
+        for (const part of REQUEST_PARTS) {
+            const rules = schema[part],
+                values = req[part];
+            if (!rules) {
+                continue;
+            } else if (typeof rules === "function") {
+                const problem = rules(values);
+                if (problem) {
+                    details.push({ in: part, field: null, message: `The request body ${problem}` });
+                }
+                continue;
+            } else if (part === "body" && !isPlainObject(values)) {
+                details.push({
+                    in: part,
+                    field: null,
+                    message: "The request body must be an object",
+                });
+                continue;
+            }
+            for (const [field, rule] of Object.entries(rules)) {
+                const problem = rule(values?.[field]);
+                if (problem) {
+                    details.push({ in: part, field, message: `\`${field}\` ${problem}` });
+                }
+            }
+        }
+        if (details.length > 0) {
+            next(
+                new StatusError(
+                    400,
+                    details.map(({ message }) => message).join("; "),
+                    ERROR_CODE_INVALID_REQUEST,
+                    details
+                )
+            );
+        } else {
+            next();
+        }
+    };
+}
+
+/**
+ * Build a rule that requires a value, other rules allow values to be missing
+ * @param  {Function} rule  Rule for the value when it is present
+ * @return {Function}       Rule that takes a value and returns a problem or null if it is valid
+ */
+export function required(rule) {
+    return (value) => (value == null || value === "" ? "is required" : rule(value));
+}
+
+/**
+ * Build a rule for non-empty text
+ * @param  {Number} maxLength   Maximum number of characters
+ * @return {Function}           Rule that takes a value and returns a problem or null if it is valid
+ */
+export function isText(maxLength = MAX_NAME_LENGTH) {
+    return (value) =>
+        value == null ||
+        (typeof value === "string" && value.trim() !== "" && value.length <= maxLength)
+            ? null
+            : `must be text of at most ${maxLength} characters`;
+}
+
+/**
+ * Build a rule for text or a number, such as a PIN that clients may send as either
+ * @param  {Number} maxLength   Maximum number of characters
+ * @return {Function}           Rule that takes a value and returns a problem or null if it is valid
+ */
+export function isTextOrNumber(maxLength) {
+    const textRule = isText(maxLength);
+    return (value) => (typeof value === "number" ? null : textRule(value));
+}
+
+/**
+ * Build a rule for a date in the `FORMAT_DATE` format (e.g., 2023-08-01)
+ * @return {Function}           Rule that takes a value and returns a problem or null if it is valid
+ */
+export function isDate() {
+    return (value) =>
+        value == null ||
+        (typeof value === "string" && dayjs(value).format(process.env.FORMAT_DATE) === value)
+            ? null
+            : `must be a date in the ${process.env.FORMAT_DATE} format`;
+}
+
+/**
+ * Build a rule for the optional note of an override or leave range, which can be empty
+ * @return {Function}           Rule that takes a value and returns a problem or null if it is valid
+ */
+export function isNote() {
+    return (value) =>
+        value == null || (typeof value === "string" && value.length <= MAX_NOTE_LENGTH)
+            ? null
+            : `must be text of at most ${MAX_NOTE_LENGTH} characters`;
+}
+
+/**
+ * Validate the optional note of an override or leave range, see `isNote`
+ * @param  {Any} note   Note from the request body
+ * @return {Object}     Empty object if there is no note, otherwise an object with key `note`
+ */
+export function tryBuildNote(note) {
+    const problem = isNote()(note);
+    if (problem) {
+        throw new StatusError(400, `The \`note\` ${problem}`);
+    }
+    return note?.trim() ? { note: note.trim() } : {};
+}
+
+/**
+ * Build a rule for a point in time, either a date in the `FORMAT_DATE` format or an ISO 8601
+ * timestamp (e.g., 2023-08-01T14:30:00Z)
+ * @return {Function}           Rule that takes a value and returns a problem or null if it is valid
+ */
+export function isTimestamp() {
+    return (value) =>
+        value == null ||
+        (typeof value === "string" &&
+            /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})?)?$/.test(
+                value
+            ) &&
+            dayjs(value).isValid())
+            ? null
+            : "must be a date or an ISO 8601 timestamp";
+}
+
+/**
+ * Build a rule for a boolean, which is `true` or `false` text in query params
+ * @param  {Boolean} isQuery    Whether the value is a query param
+ * @return {Function}           Rule that takes a value and returns a problem or null if it is valid
+ */
+export function isBoolean(isQuery = false) {
+    const allowed = isQuery ? ["true", "false"] : [true, false];
+    return (value) => (value == null || allowed.includes(value) ? null : "must be true or false");
+}
+
+/**
+ * Build a rule for a whole number, which is text in query params
+ * @param  {Number} min         Minimum value
+ * @return {Function}           Rule that takes a value and returns a problem or null if it is valid
+ */
+export function isWholeNumber(min = 0) {
+    return (value) =>
+        value == null ||
+        ((typeof value === "number" || /^\d+$/.test(value)) &&
+            Number.isInteger(Number(value)) &&
+            Number(value) >= min)
+            ? null
+            : `must be a whole number of at least ${min}`;
+}
+
+/**
+ * Build a rule for a non-empty list of names. Query params repeat the param for each name, so a
+ * single name is also allowed there
+ * @param  {Boolean} isQuery    Whether the value is a query param
+ * @return {Function}           Rule that takes a value and returns a problem or null if it is valid
+ */
+export function isNames(isQuery = false) {
+    const nameRule = isText(MAX_NAME_LENGTH);
+    return (value) => {
+        const names = isQuery && value != null ? [].concat(value) : value;
+        return names == null ||
+            (Array.isArray(names) &&
+                names.length > 0 &&
+                names.length <= MAX_NAMES &&
+                names.every((name) => nameRule(name) === null))
+            ? null
+            : `must be a list of 1 to ${MAX_NAMES} names`;
+    };
+}
+
+/**
+ * Build a rule for the text of a CSV file, which is only parsed as text with a CSV content type
+ * @return {Function}           Rule that takes a value and returns a problem or null if it is valid
+ */
+export function isCsv() {
+    return (value) =>
+        typeof value === "string" && value.trim() !== ""
+            ? null
+            : "must be the text of a CSV file with a `text/csv` content type";
+}
+
+/**
+ * Build a rule for a JSON object
+ * @return {Function}           Rule that takes a value and returns a problem or null if it is valid
+ */
+export function isObject() {
+    return (value) => (value == null || isPlainObject(value) ? null : "must be an object");
+}
+
+// Helpers
+// -------
+
+/**
+ * Whether a value is a plain object rather than an array, null, or other value
+ * @param  {*} value    Value to check
+ * @return {Boolean}    Whether the value is a plain object
+ */
+function isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
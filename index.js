@@ -1,92 +1,720 @@
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
 import cors from "cors";
 import dayjs from "dayjs";
 import express from "express";
 import serverless from "serverless-http";
-import { getBlockInfoByRoleForDate } from "./helpers/db.js";
-import { tryBuildDayFromDate } from "./helpers/input.js";
 import {
-  buildError,
-  classifySchedulesForRoleAndBlockInfo,
-  sortClassifiedSchedulesByName,
+  buildToken,
+  findCohortForPin,
+  getOwnerCohort,
+  requireAdmin,
+  requireToken,
+} from "./helpers/auth.js";
+import { buildRequestCache } from "./helpers/cache.js";
+import { getRecentChanges } from "./helpers/changes.js";
+import { buildCoverageForDate } from "./helpers/coverage.js";
+import { getRoleByNameForNames, getScheduleForName } from "./helpers/db.js";
+import { buildDigestForSubscription } from "./helpers/digests.js";
+import { catchErrors, handleError } from "./helpers/errors.js";
+import { buildHealthReport, isStorageReachable } from "./helpers/health.js";
+import { importCsvIntoTable } from "./helpers/import.js";
+import {
+  buildDaysWithinBounds,
+  isDateWithinBounds,
+  tryBuildDayFromDate,
+  tryBuildDaysFromDateRange,
+  tryBuildMinCount,
+  tryBuildNames,
+} from "./helpers/input.js";
+import { buildIntegrityReport } from "./helpers/integrity.js";
+import {
+  buildLeaveForDays,
+  createLeave,
+  deleteLeave,
+  getLeaveById,
+  updateLeave,
+} from "./helpers/leave.js";
+import { logRequests } from "./helpers/logging.js";
+import {
+  clearFailedLoginAttempts,
+  getLockoutSecondsForClient,
+  recordFailedLoginAttempt,
+} from "./helpers/login-attempts.js";
+import {
+  buildCalendarForCommonOffDays,
+  buildCalendarForOffDays,
+  buildOffDaysForSchedule,
+  buildScheduleStatusForDate,
+  findCommonOffDaysForNames,
 } from "./helpers/output.js";
+import {
+  createOverride,
+  deleteOverride,
+  getAllOverrides,
+  getOverrideById,
+  updateOverride,
+} from "./helpers/overrides.js";
+import { searchPeople } from "./helpers/people.js";
+import { getProgram, getProgramYear } from "./helpers/programs.js";
 import StatusError from "./helpers/status-error.js";
+import { withDataAsOf } from "./helpers/storage/as-of.js";
+import { buildStorage } from "./helpers/storage/index.js";
+import {
+  createSubscription,
+  deleteSubscription,
+  getAllSubscriptions,
+  getSubscriptionById,
+  updateSubscription,
+} from "./helpers/subscriptions.js";
+import {
+  isBoolean,
+  isCsv,
+  isDate,
+  isNames,
+  isNote,
+  isObject,
+  isText,
+  isTextOrNumber,
+  isTimestamp,
+  isWholeNumber,
+  required,
+  validateRequest,
+} from "./helpers/validation.js";
 
 const app = express();
-const db = DynamoDBDocumentClient.from(new DynamoDBClient());
+// Routes are the same for every program, see the bottom of this file for how they are mounted
+const router = express.Router({ mergeParams: true });
+// Storage for the tables shared by every program, chosen by the `STORAGE_BACKEND` environment
+// variable. Each academic year of each program has its own storage, see `buildStorage`
+const sharedDb = buildStorage();
+
+// Request body rules shared by the routes that create and replace items, see `validateRequest`.
+// The helpers that save the items check what depends on stored data or on other fields
+const MAX_PIN_LENGTH = 100,
+  OVERRIDE_BODY_RULES = {
+    type: required(isText()),
+    name: isText(),
+    date: isDate(),
+    status: isText(),
+    names: isNames(),
+    blockName: isText(),
+    note: isNote(),
+  },
+  LEAVE_BODY_RULES = {
+    name: required(isText()),
+    from: required(isDate()),
+    to: required(isDate()),
+    note: isNote(),
+  },
+  SUBSCRIPTION_BODY_RULES = {
+    name: required(isText()),
+    friends: required(isNames()),
+    includeMaybeOff: isBoolean(),
+    email: isText(),
+    webhookUrl: isText(2000),
+    webhookFields: isObject(),
+  };
 
 // Load middleware
+// `req.ip` must not come from the `X-Forwarded-For` header, which clients can set to anything to get
+// around the `/validate` lockout. Behind API Gateway, serverless-http uses the event's source IP as
+// the socket address, so that is already the client's IP address
+app.set("trust proxy", false);
+app.use(logRequests); // logs every request with its id and metrics, see `logRequests`
 app.use(cors()); // adds appropriate CORS headers
 app.use(express.json()); // for parsing application/json request bodies
 
-// validate against default pin
-app.post("/validate", async (req, res) => {
-  const pin = String(req.body?.pin);
-  if (pin === process.env.DEFAULT_PIN) {
-    res.status(200).end();
-  } else {
-    res.status(403).json(buildError("The password is not correct"));
-  }
+// Adds the program of the request (see `getProgram`) as `req.program`, requests without a program id
+// are for the `DEFAULT_PROGRAM_ID` program
+const loadProgram = catchErrors(async (req, res, next) => {
+  req.program = await getProgram(sharedDb, req.params.programId ?? process.env.DEFAULT_PROGRAM_ID);
+  next();
 });
 
-// Given date within supported range, returns the residents that are off and those who are maybe off
-app.get("/schedule-status/:date", async (req, res) => {
-  try {
-    // 1. get basic information given valid date
-    const thisDay = tryBuildDayFromDate(req.params.date),
-      blockInfoByRole = await getBlockInfoByRoleForDate(db, thisDay);
-    // 2. For each role, classify schedules by status (off, maybe off, not sure) and then aggregate
-    // across roles into a unified `schedulesByStatus` object
-    const schedulesByStatus = {
-      [process.env.CLASSIFICATION_KEY_OFF]: [],
-      [process.env.CLASSIFICATION_KEY_MAYBE_OFF]: [],
-      [process.env.CLASSIFICATION_KEY_LIKELY_NOT_OFF]: [],
-    };
-    // for each role and it's associate block info...
-    for (const [role, blockInfo] of Object.entries(blockInfoByRole)) {
-      // ...classify schedules into classification keys...
-      const classifiedSchedules = await classifySchedulesForRoleAndBlockInfo(
-        db,
-        thisDay,
-        role,
-        blockInfo
-      );
-      // ...and then merge into the aggregate `schedulesByStatus` object
-      for (const classificationKey of Object.keys(schedulesByStatus)) {
-        schedulesByStatus[classificationKey].push(
-          ...(classifiedSchedules[classificationKey] || [])
-        );
-      }
+// validate against the active pins of the program, returning a signed token for the matching cohort
+router.post(
+  "/validate",
+  validateRequest({ body: { pin: required(isTextOrNumber(MAX_PIN_LENGTH)) } }),
+  catchErrors(async (req, res) => {
+    const lockoutSeconds = await getLockoutSecondsForClient(sharedDb, req.ip);
+    if (lockoutSeconds > 0) {
+      res.set("Retry-After", String(lockoutSeconds));
+      throw new StatusError(429, "Too many incorrect attempts, please try again later", null, {
+        retryAfterSeconds: lockoutSeconds,
+      });
     }
-    // 3. Build JSON response object in expected format
-    const fetchedDate = thisDay.format(process.env.FORMAT_DATE),
-      // Note that the min date is EXCLUSIVE meaning the first available min date is actually after
-      // this provided date
-      minDate = dayjs(process.env.BOUND_MIN_DATE).format(process.env.FORMAT_DATE),
-      // The max date is INCLUSIVE meaning that this date is actually the last available date
-      maxDate = dayjs(process.env.BOUND_MAX_DATE).format(process.env.FORMAT_DATE);
-    res.json({
-      "schedule-status": {
-        id: fetchedDate,
-        fetchedDate,
-        minDate,
-        maxDate,
-        internBlockInfo: blockInfoByRole[process.env.ROLE_INTERN],
-        residentBlockInfo: blockInfoByRole[process.env.ROLE_RESIDENT],
-        ...sortClassifiedSchedulesByName(schedulesByStatus),
-      },
-    });
-  } catch (error) {
-    if (error instanceof StatusError) {
-      res.status(error.statusCode).json(buildError(error.message));
+    const pin = String(req.body.pin),
+      programId = req.program.id,
+      cohort = findCohortForPin(programId, pin);
+    if (cohort) {
+      await clearFailedLoginAttempts(sharedDb, req.ip);
+      res.status(200).json({ programId, cohort, ...buildToken(programId, cohort, pin) });
     } else {
-      res.status(500).json(buildError(error.message));
+      await recordFailedLoginAttempt(sharedDb, req.ip);
+      throw new StatusError(403, "The password is not correct");
     }
-  }
-});
+  })
+);
+
+// All routes below require a token for the program returned by `/validate`. Routes for a date use the
+// academic year that includes that date, others use the `year` query param or the current year
+router.use(requireToken);
+
+// Given date within supported range, returns the residents that are off and those who are maybe off.
+// With `explain=true`, each person also has the template and service expression behind their status.
+// With `asOf=<timestamp>`, the data is read as it was then, see `withDataAsOf`, which only admins can
+// do since it shows the data that has since been changed or deleted and reads the year's tables
+// whole. Repeat `names` for each person or add `role` to only return some people
+router.get(
+  "/schedule-status/:date",
+  validateRequest({
+    params: { date: required(isDate()) },
+    query: {
+      year: isText(),
+      explain: isBoolean(true),
+      asOf: isTimestamp(),
+      names: isNames(true),
+      role: isText(),
+    },
+  }),
+  (req, res, next) => (req.query.asOf ? requireAdmin(req, res, next) : next()),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year, req.params.date),
+      thisDay = tryBuildDayFromDate(req.params.date, programYear),
+      asOf = req.query.asOf ? dayjs(req.query.asOf) : null,
+      db = asOf
+        ? withDataAsOf(buildStorage(programYear.tablePrefix), asOf)
+        : buildStorage(programYear.tablePrefix),
+      names = req.query.names ? tryBuildNames([].concat(req.query.names)) : null;
+    if (names) {
+      // unknown names are an error rather than quietly left out
+      await getRoleByNameForNames(db, names);
+    }
+    const scheduleStatus = await buildScheduleStatusForDate(
+      db,
+      programYear,
+      thisDay,
+      null,
+      req.query.explain === "true",
+      names,
+      req.query.role ?? null
+    );
+    res.json({
+      "schedule-status": asOf ? { ...scheduleStatus, asOf: asOf.toISOString() } : scheduleStatus,
+    });
+  })
+);
+
+// Given date within supported range, returns everyone grouped by the service and team they are
+// assigned to, with how many of them are working, off, maybe off, and on leave, and flags services
+// with fewer people working than their minimum staffing
+router.get(
+  "/coverage/:date",
+  validateRequest({ params: { date: required(isDate()) }, query: { year: isText() } }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year, req.params.date),
+      thisDay = tryBuildDayFromDate(req.params.date, programYear);
+    res.json({
+      coverage: await buildCoverageForDate(buildStorage(programYear.tablePrefix), thisDay),
+    });
+  })
+);
+
+// Returns everyone whose name matches `q` (or everyone without it), closest matches first, with
+// their role, class year, and scheduled assignment on `date` (default today, or none if today is
+// not in the academic year). Matching ignores case, accents, and punctuation, see `searchPeople`
+router.get(
+  "/people",
+  validateRequest({ query: { q: isText(), date: isDate(), year: isText() } }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year, req.query.date),
+      today = dayjs().startOf("day"),
+      thisDay = req.query.date
+        ? tryBuildDayFromDate(req.query.date, programYear)
+        : isDateWithinBounds(today, programYear)
+        ? today
+        : null,
+      results = await searchPeople(buildStorage(programYear.tablePrefix), req.query.q, thisDay);
+    res.json({ people: { date: thisDay?.format(process.env.FORMAT_DATE) ?? null, results } });
+  })
+);
+
+// Given a date range within supported range, returns the schedule status for each day in the range.
+// Data shared between days of the same block is only fetched once
+router.get(
+  "/schedule-status",
+  validateRequest({ query: { from: required(isDate()), to: required(isDate()), year: isText() } }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year, req.query.from),
+      db = buildStorage(programYear.tablePrefix),
+      days = tryBuildDaysFromDateRange(req.query.from, req.query.to, programYear),
+      cache = buildRequestCache(days[0], days[days.length - 1]);
+    res.json({
+      "schedule-status": await Promise.all(
+        days.map((thisDay) => buildScheduleStatusForDate(db, programYear, thisDay, cache))
+      ),
+    });
+  })
+);
+
+// Given names and a date range, returns the days where all of them (or at least `minCount` of them)
+// are off, optionally counting those who are maybe off, ranked by how many of them are off
+router.post(
+  "/common-off-days",
+  validateRequest({
+    query: { year: isText() },
+    body: {
+      names: required(isNames()),
+      minCount: isWholeNumber(1),
+      from: required(isDate()),
+      to: required(isDate()),
+      includeMaybeOff: isBoolean(),
+    },
+  }),
+  catchErrors(async (req, res) => {
+    const names = tryBuildNames(req.body?.names),
+      minCount = tryBuildMinCount(req.body?.minCount, names.length),
+      programYear = getProgramYear(req.program, req.query.year, req.body?.from),
+      db = buildStorage(programYear.tablePrefix),
+      days = tryBuildDaysFromDateRange(req.body?.from, req.body?.to, programYear),
+      roleByName = await getRoleByNameForNames(db, names),
+      cache = buildRequestCache(days[0], days[days.length - 1]);
+    res.json({
+      "common-off-days": await findCommonOffDaysForNames(
+        db,
+        days,
+        roleByName,
+        minCount,
+        req.body?.includeMaybeOff === true,
+        cache
+      ),
+    });
+  })
+);
+
+// Given a person's name and a date range, returns their block, assignment, and status for each day
+// along with the service expression that their assignment matched
+router.get(
+  "/people/:name/off-days",
+  validateRequest({
+    params: { name: required(isText()) },
+    query: { from: required(isDate()), to: required(isDate()), year: isText() },
+  }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year, req.query.from),
+      db = buildStorage(programYear.tablePrefix),
+      days = tryBuildDaysFromDateRange(req.query.from, req.query.to, programYear),
+      schedule = await getScheduleForName(db, req.params.name),
+      cache = buildRequestCache(days[0], days[days.length - 1]);
+    res.json({ "off-days": await buildOffDaysForSchedule(db, days, schedule, cache) });
+  })
+);
+
+// Given a person's name, returns an iCalendar feed of their off days within the supported range
+router.get(
+  "/people/:name/calendar.ics",
+  validateRequest({ params: { name: required(isText()) }, query: { year: isText() } }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year),
+      db = buildStorage(programYear.tablePrefix),
+      days = buildDaysWithinBounds(programYear),
+      schedule = await getScheduleForName(db, req.params.name),
+      cache = buildRequestCache(days[0], days[days.length - 1]),
+      offDays = await buildOffDaysForSchedule(db, days, schedule, cache);
+    res.type("text/calendar").send(buildCalendarForOffDays(schedule, offDays));
+  })
+);
+
+// Given names (repeat the `names` query parameter for each person), returns an iCalendar feed of the
+// days within the supported range where all of them (or at least `minCount` of them) are off
+router.get(
+  "/common-off-days/calendar.ics",
+  validateRequest({
+    query: { names: required(isNames(true)), minCount: isWholeNumber(1), year: isText() },
+  }),
+  catchErrors(async (req, res) => {
+    const names = tryBuildNames([].concat(req.query.names ?? [])),
+      minCount = tryBuildMinCount(req.query.minCount, names.length),
+      programYear = getProgramYear(req.program, req.query.year),
+      db = buildStorage(programYear.tablePrefix),
+      days = buildDaysWithinBounds(programYear),
+      roleByName = await getRoleByNameForNames(db, names),
+      cache = buildRequestCache(days[0], days[days.length - 1]),
+      // include maybe off so that those days can be shown as tentative events
+      commonOffDays = await findCommonOffDaysForNames(db, days, roleByName, minCount, true, cache);
+    res.type("text/calendar").send(buildCalendarForCommonOffDays(names, minCount, commonOffDays));
+  })
+);
+
+// Returns every override (swaps, sick calls, etc), most recently changed first
+router.get(
+  "/overrides",
+  validateRequest({ query: { year: isText() } }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year);
+    res.json({ overrides: await getAllOverrides(buildStorage(programYear.tablePrefix)) });
+  })
+);
+
+// Returns a single override
+router.get(
+  "/overrides/:id",
+  validateRequest({ params: { id: required(isText()) }, query: { year: isText() } }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year);
+    res.json({
+      override: await getOverrideById(buildStorage(programYear.tablePrefix), req.params.id),
+    });
+  })
+);
+
+// Creates an override that either makes a person off or working on a date (`type` is `status`) or
+// swaps the assignments of two people for a block (`type` is `swap`)
+router.post(
+  "/overrides",
+  validateRequest({ query: { year: isText() }, body: OVERRIDE_BODY_RULES }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year, req.body?.date);
+    res.status(201).json({
+      override: await createOverride(
+        buildStorage(programYear.tablePrefix),
+        programYear,
+        req.body,
+        req.auth.sub
+      ),
+    });
+  })
+);
+
+// Replaces an override, only for the cohort that created it or admins
+router.put(
+  "/overrides/:id",
+  validateRequest({
+    params: { id: required(isText()) },
+    query: { year: isText() },
+    body: OVERRIDE_BODY_RULES,
+  }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year, req.body?.date);
+    res.json({
+      override: await updateOverride(
+        buildStorage(programYear.tablePrefix),
+        programYear,
+        req.params.id,
+        req.body,
+        req.auth.sub,
+        getOwnerCohort(req.auth)
+      ),
+    });
+  })
+);
+
+// Deletes an override, only for the cohort that created it or admins
+router.delete(
+  "/overrides/:id",
+  validateRequest({ params: { id: required(isText()) }, query: { year: isText() } }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year);
+    await deleteOverride(
+      buildStorage(programYear.tablePrefix),
+      req.params.id,
+      req.auth.sub,
+      getOwnerCohort(req.auth)
+    );
+    res.status(204).end();
+  })
+);
+
+// Given a date range within supported range, returns who is on leave each day and the assignment
+// they are away from
+router.get(
+  "/leave",
+  validateRequest({ query: { from: required(isDate()), to: required(isDate()), year: isText() } }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year, req.query.from),
+      days = tryBuildDaysFromDateRange(req.query.from, req.query.to, programYear),
+      cache = buildRequestCache(days[0], days[days.length - 1]);
+    res.json({
+      leave: await buildLeaveForDays(buildStorage(programYear.tablePrefix), days, cache),
+    });
+  })
+);
+
+// Returns a single leave range
+router.get(
+  "/leave/:id",
+  validateRequest({ params: { id: required(isText()) }, query: { year: isText() } }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year);
+    res.json({ leave: await getLeaveById(buildStorage(programYear.tablePrefix), req.params.id) });
+  })
+);
+
+// Records that a person is on leave (vacation, parental leave, etc) from one date to another
+router.post(
+  "/leave",
+  validateRequest({ query: { year: isText() }, body: LEAVE_BODY_RULES }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year, req.body?.from);
+    res.status(201).json({
+      leave: await createLeave(
+        buildStorage(programYear.tablePrefix),
+        programYear,
+        req.body,
+        req.auth.sub
+      ),
+    });
+  })
+);
+
+// Replaces a leave range, only for the cohort that created it or admins
+router.put(
+  "/leave/:id",
+  validateRequest({
+    params: { id: required(isText()) },
+    query: { year: isText() },
+    body: LEAVE_BODY_RULES,
+  }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year, req.body?.from);
+    res.json({
+      leave: await updateLeave(
+        buildStorage(programYear.tablePrefix),
+        programYear,
+        req.params.id,
+        req.body,
+        req.auth.sub,
+        getOwnerCohort(req.auth)
+      ),
+    });
+  })
+);
+
+// Deletes a leave range, only for the cohort that created it or admins
+router.delete(
+  "/leave/:id",
+  validateRequest({ params: { id: required(isText()) }, query: { year: isText() } }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year);
+    await deleteLeave(
+      buildStorage(programYear.tablePrefix),
+      req.params.id,
+      req.auth.sub,
+      getOwnerCohort(req.auth)
+    );
+    res.status(204).end();
+  })
+);
+
+// Returns every digest subscription of the program. Admins only since subscriptions include email
+// addresses and webhook URLs
+router.get(
+  "/subscriptions",
+  requireAdmin,
+  catchErrors(async (req, res) => {
+    res.json({ subscriptions: await getAllSubscriptions(sharedDb, req.program.id) });
+  })
+);
+
+// Returns a single digest subscription. Like the routes below, only the cohort that created a
+// subscription and admins can see or change it, since it has an email address or webhook URL
+router.get(
+  "/subscriptions/:id",
+  validateRequest({ params: { id: required(isText()) } }),
+  catchErrors(async (req, res) => {
+    res.json({
+      subscription: await getSubscriptionById(
+        sharedDb,
+        req.program.id,
+        req.params.id,
+        getOwnerCohort(req.auth)
+      ),
+    });
+  })
+);
+
+// Previews the digest that a subscription would get today, without sending it
+router.get(
+  "/subscriptions/:id/digest",
+  validateRequest({ params: { id: required(isText()) } }),
+  catchErrors(async (req, res) => {
+    const subscription = await getSubscriptionById(
+      sharedDb,
+      req.program.id,
+      req.params.id,
+      getOwnerCohort(req.auth)
+    );
+    res.json({
+      digest: await buildDigestForSubscription(req.program, subscription, dayjs().startOf("day")),
+    });
+  })
+);
+
+// Subscribes a person to a scheduled digest of the upcoming days when they and their friends are
+// off, delivered by email or to a webhook (Slack, GroupMe, etc). Names are checked against the
+// schedules of the `year` query param or the current year
+router.post(
+  "/subscriptions",
+  validateRequest({ query: { year: isText() }, body: SUBSCRIPTION_BODY_RULES }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year);
+    res.status(201).json({
+      subscription: await createSubscription(
+        sharedDb,
+        buildStorage(programYear.tablePrefix),
+        req.program.id,
+        req.body,
+        req.auth.sub
+      ),
+    });
+  })
+);
+
+// Replaces a digest subscription
+router.put(
+  "/subscriptions/:id",
+  validateRequest({
+    params: { id: required(isText()) },
+    query: { year: isText() },
+    body: SUBSCRIPTION_BODY_RULES,
+  }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year);
+    res.json({
+      subscription: await updateSubscription(
+        sharedDb,
+        buildStorage(programYear.tablePrefix),
+        req.program.id,
+        req.params.id,
+        req.body,
+        req.auth.sub,
+        getOwnerCohort(req.auth)
+      ),
+    });
+  })
+);
+
+// Unsubscribes from digests
+router.delete(
+  "/subscriptions/:id",
+  validateRequest({ params: { id: required(isText()) } }),
+  catchErrors(async (req, res) => {
+    await deleteSubscription(sharedDb, req.program.id, req.params.id, getOwnerCohort(req.auth));
+    res.status(204).end();
+  })
+);
+
+// Given a CSV file exported from the chief residents' spreadsheets, validates it and previews how it
+// would change the table. Only writes the changes if `write=true` and only deletes rows missing from
+// the file if `deleteMissing=true`
+router.post(
+  "/admin/import/:table",
+  requireAdmin,
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  validateRequest({
+    params: { table: required(isText()) },
+    query: { year: isText(), write: isBoolean(true), deleteMissing: isBoolean(true) },
+    body: isCsv(),
+  }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year);
+    res.json({
+      import: await importCsvIntoTable(
+        buildStorage(programYear.tablePrefix),
+        req.params.table,
+        req.body,
+        req.query.write === "true",
+        req.query.deleteMissing === "true",
+        req.auth.sub
+      ),
+    });
+  })
+);
+
+// Lists the most recent changes made through the app to the schedule data, overrides, and leave of
+// an academic year, newest first. Pass the `changeId` of the last change as `before` for the next page
+router.get(
+  "/admin/changes",
+  requireAdmin,
+  validateRequest({
+    query: { year: isText(), table: isText(), limit: isWholeNumber(1), before: isText() },
+  }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year);
+    res.json({
+      changes: await getRecentChanges(
+        buildStorage(programYear.tablePrefix),
+        req.query.table ?? null,
+        req.query.limit ? Number(req.query.limit) : null,
+        req.query.before ?? null
+      ),
+    });
+  })
+);
+
+// Returns a report of assignments that no service expression can match, template services without
+// service expressions, service expressions that fail to compile, and dates missing date templates
+router.get(
+  "/admin/integrity",
+  requireAdmin,
+  validateRequest({ query: { year: isText() } }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year);
+    res.json({
+      integrity: await buildIntegrityReport(buildStorage(programYear.tablePrefix), programYear),
+    });
+  })
+);
+
+// Clears cached schedule data of an academic year and cached program metadata in every warm
+// container, for changes made outside of the import route such as edits in the DynamoDB console
+router.post(
+  "/admin/cache/invalidate",
+  requireAdmin,
+  validateRequest({ query: { year: isText() } }),
+  catchErrors(async (req, res) => {
+    const programYear = getProgramYear(req.program, req.query.year);
+    await Promise.all([
+      buildStorage(programYear.tablePrefix).invalidateCache(),
+      sharedDb.invalidateCache(),
+    ]);
+    res.status(204).end();
+  })
+);
+
+// Checks that the shared tables and the tables of every academic year of the program can be reached,
+// responding with 503 if any cannot
+router.get(
+  "/admin/health",
+  requireAdmin,
+  catchErrors(async (req, res) => {
+    const { isHealthy, tables } = await buildHealthReport(sharedDb, req.program);
+    res.status(isHealthy ? 200 : 503).json({
+      health: { status: isHealthy ? "ok" : "unavailable", tables },
+    });
+  })
+);
 
 // Handles not found routes
-app.use((req, res, next) => res.status(404).json(buildError("Not found")));
+router.use((req, res, next) => next(new StatusError(404, "Not found")));
+
+// check that storage can be reached, for uptime monitors and load balancers, so it does not need a
+// token and is not under a program. Only the status is returned, see `/admin/health` for each table
+app.get(
+  "/health",
+  catchErrors(async (req, res) => {
+    const status = (await isStorageReachable(sharedDb)) ? "ok" : "unavailable";
+    res.status(status === "ok" ? 200 : 503).json({ health: { status } });
+  })
+);
+
+// Every route is available for each program under `/programs/:programId`, and without the prefix
+// for the `DEFAULT_PROGRAM_ID` program so that existing clients keep working
+app.use("/programs/:programId", loadProgram, router);
+app.use(loadProgram, router);
+
+// Responds to every error with the error object built by `buildError`, see `handleError`
+app.use(handleError);
 
 export const handler = serverless(app);
+// the tests run the app in-process instead of through the Lambda handler
+export { app };
@@ -0,0 +1,20 @@
+import dayjs from "dayjs";
+import { sendAllDigests } from "./helpers/digests.js";
+import { log, runWithRequestId } from "./helpers/logging.js";
+import { buildStorage } from "./helpers/storage/index.js";
+
+const sharedDb = buildStorage(); // chosen by the `STORAGE_BACKEND` environment variable
+
+// Sends the digest of upcoming shared off days to every subscription, triggered on the schedule in
+// `serverless.yml` and run locally with `npm run send-digests`. Pass `date` in the event
+// (`--data '{"date": "..."}'`) to send the digests as if it were that day
+export const handler = async (event, context) =>
+  runWithRequestId(context?.awsRequestId, async () => {
+    const result = await sendAllDigests(sharedDb, dayjs(event?.date ?? undefined).startOf("day"));
+    log(result.failures.length > 0 ? "warn" : "info", "Sent digests", {
+      numSent: result.numSent,
+      numSkipped: result.numSkipped,
+      numFailed: result.failures.length,
+    });
+    return result;
+  });
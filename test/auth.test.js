@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startApp } from "./harness.js";
+
+let app;
+
+before(async () => {
+    app = await startApp();
+});
+
+after(() => app?.close());
+
+describe("POST /validate", () => {
+    test("locks out clients that spoof X-Forwarded-For on each attempt", async () => {
+        const maxAttempts = Number(process.env.AUTH_MAX_FAILED_ATTEMPTS);
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const { status } = await app.request("POST", "/validate", {
+                body: { pin: "wrong" },
+                headers: { "X-Forwarded-For": `203.0.113.${attempt}` },
+            });
+            assert.equal(status, 403);
+        }
+        const { status, headers, body } = await app.request("POST", "/validate", {
+            body: { pin: "wrong" },
+            headers: { "X-Forwarded-For": "198.51.100.1" },
+        });
+        assert.equal(status, 429);
+        assert.equal(body.error.code, "TOO_MANY_ATTEMPTS");
+        assert.ok(Number(headers["retry-after"]) > 0);
+    });
+});
@@ -0,0 +1,73 @@
+import dayjs from "dayjs";
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { buildBlockInfo, buildLegacyBlockInfo } from "../helpers/block-info.js";
+import { getRoleDefinition, getSubBlockLabelForBlockName } from "../helpers/roles.js";
+
+describe("buildBlockInfo", () => {
+    test("counts the first day of a block as day 1", () => {
+        assert.deepEqual(buildBlockInfo(dayjs("2023-07-27"), "1A", "2023-07-27", "A"), {
+            blockName: "1A",
+            blockType: "A",
+            dayNumber: 1,
+        });
+    });
+
+    test("counts the last day of a 14 day block as day 14", () => {
+        assert.equal(buildBlockInfo(dayjs("2023-08-09"), "1A", "2023-07-27").dayNumber, 14);
+    });
+
+    test("counts days across the end of a month", () => {
+        assert.equal(buildBlockInfo(dayjs("2023-09-03"), "2A", "2023-08-24").dayNumber, 11);
+    });
+
+    test("counts days across the end of daylight saving time", () => {
+        assert.equal(buildBlockInfo(dayjs("2023-11-08"), "8A", "2023-11-02").dayNumber, 7);
+    });
+
+    test("ignores the time of day", () => {
+        assert.equal(
+            buildBlockInfo(dayjs("2023-08-01T18:30:00").startOf("day"), "1A", "2023-07-27")
+                .dayNumber,
+            6
+        );
+    });
+
+    test("has no block type by default", () => {
+        assert.equal(buildBlockInfo(dayjs("2023-07-27"), "1", "2023-07-27").blockType, null);
+    });
+});
+
+describe("getSubBlockLabelForBlockName", () => {
+    test("gets the sub-block label a block name ends with", () => {
+        const roleDefinition = getRoleDefinition(
+            { Intern: { role: "Intern", blockLength: 14, subBlockLabels: ["A", "B"] } },
+            "Intern"
+        );
+        assert.equal(getSubBlockLabelForBlockName(roleDefinition, "1A"), "A");
+        assert.equal(getSubBlockLabelForBlockName(roleDefinition, "12B"), "B");
+        assert.equal(getSubBlockLabelForBlockName(roleDefinition, "12"), null);
+    });
+
+    test("prefers the longest label", () => {
+        const roleDefinition = { role: "Fellow", blockLength: 7, subBlockLabels: ["A", "AA"] };
+        assert.equal(getSubBlockLabelForBlockName(roleDefinition, "3AA"), "AA");
+    });
+
+    test("treats roles that are not defined as not having sub-blocks", () => {
+        assert.equal(getSubBlockLabelForBlockName(getRoleDefinition({}, "Fellow"), "1A"), null);
+    });
+});
+
+describe("buildLegacyBlockInfo", () => {
+    test("has whether the block is an A block instead of its block type", () => {
+        assert.deepEqual(
+            buildLegacyBlockInfo(buildBlockInfo(dayjs("2023-09-14"), "2B", "2023-09-07", "B")),
+            { blockName: "2B", isA: false, dayNumber: 8 }
+        );
+    });
+
+    test("is left out for roles without a block", () => {
+        assert.equal(buildLegacyBlockInfo(undefined), undefined);
+    });
+});
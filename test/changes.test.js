@@ -0,0 +1,212 @@
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { setTimeout as delay } from "node:timers/promises";
+import { fileURLToPath } from "node:url";
+import { startApp } from "./harness.js";
+
+const TEST_DIR = path.dirname(fileURLToPath(import.meta.url)),
+    DATE = "2023-09-14";
+
+let app, token, adminToken;
+
+before(async () => {
+    app = await startApp();
+    [token, adminToken] = await Promise.all([app.logIn(), app.logIn(true)]);
+});
+
+after(() => app?.close());
+
+describe("change history", () => {
+    // timestamps between the changes, which are made in order by the tests below
+    const timestamps = {};
+
+    test("records imports with who made them and the item before and after", async () => {
+        timestamps.beforeImport = await takeTimestamp();
+        const { status } = await app.request("POST", "/admin/import/schedules?write=true", {
+            body: await buildScheduleCsv("Noah Kim", { "2B": "Osler D" }),
+            contentType: "text/csv",
+            token: adminToken,
+        });
+        assert.equal(status, 200);
+        const { body } = await app.request("GET", "/admin/changes", { token: adminToken }),
+            [change] = body.changes;
+        assert.equal(body.changes.length, 1);
+        assert.equal(change.tableName, "Schedules");
+        assert.equal(change.itemId, "Intern / Noah Kim");
+        assert.equal(change.action, "changed");
+        assert.equal(change.changedBy, "admins");
+        assert.equal(change.before["2B"], "Vacation");
+        assert.equal(change.after["2B"], "Osler D");
+        assert.ok(change.changedAt > timestamps.beforeImport);
+    });
+
+    test("does not record previews or unchanged rows", async () => {
+        await app.request("POST", "/admin/import/schedules", {
+            body: await buildScheduleCsv("Noah Kim", { "2B": "Clinic" }),
+            contentType: "text/csv",
+            token: adminToken,
+        });
+        await app.request("POST", "/admin/import/schedules?write=true", {
+            body: await buildScheduleCsv("Noah Kim", { "2B": "Osler D" }),
+            contentType: "text/csv",
+            token: adminToken,
+        });
+        const { body } = await app.request("GET", "/admin/changes", { token: adminToken });
+        assert.equal(body.changes.length, 1);
+    });
+
+    test("records overrides that are added and deleted", async () => {
+        timestamps.beforeOverride = await takeTimestamp();
+        const { body: created } = await app.request("POST", "/overrides", {
+            body: { type: "status", name: "Ava Thompson", date: DATE, status: "off" },
+            token,
+        });
+        timestamps.beforeDelete = await takeTimestamp();
+        await app.request("DELETE", `/overrides/${created.override.id}`, { token });
+        const { body } = await app.request("GET", "/admin/changes?table=Overrides", {
+            token: adminToken,
+        });
+        assert.deepEqual(
+            body.changes.map(({ itemId, action, changedBy }) => [itemId, action, changedBy]),
+            [
+                [created.override.id, "deleted", "default"],
+                [created.override.id, "added", "default"],
+            ]
+        );
+        assert.equal(body.changes[0].after, null);
+        assert.deepEqual(body.changes[0].before, created.override);
+    });
+
+    test("lists changes a page at a time", async () => {
+        const { body: firstPage } = await app.request("GET", "/admin/changes?limit=2", {
+                token: adminToken,
+            }),
+            { body: secondPage } = await app.request(
+                "GET",
+                `/admin/changes?limit=2&before=${encodeURIComponent(
+                    firstPage.changes[1].changeId
+                )}`,
+                { token: adminToken }
+            );
+        assert.deepEqual(
+            [...firstPage.changes, ...secondPage.changes].map(({ tableName }) => tableName),
+            ["Overrides", "Overrides", "Schedules"]
+        );
+    });
+
+    test("replays the schedule status as of before the import", async () => {
+        const { status, body } = await app.request(
+                "GET",
+                `/schedule-status/${DATE}?asOf=${timestamps.beforeImport}`,
+                { token: adminToken }
+            ),
+            { asOf, ...scheduleStatus } = body["schedule-status"],
+            golden = JSON.parse(
+                await readFile(path.join(TEST_DIR, "golden", "schedule-status", `${DATE}.json`))
+            );
+        assert.equal(status, 200);
+        assert.equal(asOf, timestamps.beforeImport);
+        assert.deepEqual(scheduleStatus, golden["schedule-status"]);
+    });
+
+    test("replays overrides that have since been deleted", async () => {
+        const getOffNames = async (asOf) => {
+            const { body } = await app.request(
+                "GET",
+                `/schedule-status/${DATE}${asOf ? `?asOf=${asOf}` : ""}`,
+                { token: adminToken }
+            );
+            return body["schedule-status"].off.map(({ name }) => name);
+        };
+        assert.deepEqual(await getOffNames(timestamps.beforeOverride), ["Ethan Park"]);
+        assert.deepEqual(await getOffNames(timestamps.beforeDelete), [
+            "Ava Thompson",
+            "Ethan Park",
+        ]);
+        assert.deepEqual(await getOffNames(null), ["Ethan Park"]);
+    });
+
+    test("does not allow timestamps that are not valid", async () => {
+        const { status, body } = await app.request(
+            "GET",
+            `/schedule-status/${DATE}?asOf=yesterday`,
+            { token: adminToken }
+        );
+        assert.equal(status, 400);
+        assert.deepEqual(
+            body.error.details.map(({ field }) => field),
+            ["asOf"]
+        );
+    });
+
+    test("only replays the schedule status for admins", async () => {
+        const { status } = await app.request(
+            "GET",
+            `/schedule-status/${DATE}?asOf=${timestamps.beforeImport}`,
+            { token }
+        );
+        assert.equal(status, 403);
+    });
+
+    test("only lists changes to admins and for tables that have them", async () => {
+        const [{ status: forbiddenStatus }, { status: unknownTableStatus }] = await Promise.all([
+            app.request("GET", "/admin/changes", { token }),
+            app.request("GET", "/admin/changes?table=Subscriptions", { token: adminToken }),
+        ]);
+        assert.equal(forbiddenStatus, 403);
+        assert.equal(unknownTableStatus, 400);
+    });
+});
+
+describe("template imports", () => {
+    test("matches rows to templates by role and template key", async () => {
+        const templates = JSON.parse(
+                await readFile(path.join(TEST_DIR, "..", "fixtures", "Templates.json"), "utf8")
+            ),
+            columns = Object.keys(templates[0]).filter((column) => column !== "template_key"),
+            csv = [
+                columns.join(","),
+                ...templates.map((template) => columns.map((column) => template[column]).join(",")),
+            ].join("\n"),
+            { status, body } = await app.request("POST", "/admin/import/templates", {
+                body: csv,
+                contentType: "text/csv",
+                token: adminToken,
+            });
+        assert.equal(status, 200);
+        assert.equal(body.import.numRows, templates.length);
+        assert.deepEqual(body.import.added, []);
+        assert.deepEqual(body.import.missingFromFile, []);
+    });
+});
+
+// Helpers
+// -------
+
+/**
+ * Gets the current time, making sure that changes made before and after it have other timestamps
+ * @return {String}     ISO 8601 timestamp
+ */
+async function takeTimestamp() {
+    await delay(5);
+    const timestamp = new Date().toISOString();
+    await delay(5);
+    return timestamp;
+}
+
+/**
+ * Build a CSV file for the `schedules` import with a person's row from the fixtures
+ * @param  {String} name        Name of the person
+ * @param  {Object} changes     Keys are block names, values are the new assignments
+ * @return {String}             CSV text
+ */
+async function buildScheduleCsv(name, changes) {
+    const schedules = JSON.parse(
+            await readFile(path.join(TEST_DIR, "..", "fixtures", "Schedules.json"), "utf8")
+        ),
+        schedule = { ...schedules.find((schedule) => schedule.name === name), ...changes },
+        columns = Object.keys(schedule);
+    return [columns.join(","), columns.map((column) => schedule[column]).join(",")].join("\n");
+}
@@ -0,0 +1,255 @@
+import assert from "node:assert/strict";
+import dayjs from "dayjs";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+import { before, describe, test } from "node:test";
+import { getRegexForRotationsByScheduled } from "../helpers/db.js";
+import { buildScheduleStatusForDate } from "../helpers/output.js";
+import { buildLocalStorage } from "../helpers/storage/local.js";
+import { setUpEnvironment } from "./harness.js";
+
+// Service expressions in the same form as the `ServiceRegex` fixtures
+const SERVICE_REGEXES = [
+    { service: "Osler", expression: "^Osler\\s*-?\\s*:position$" },
+    { service: "CCU", expression: "^CCU\\s*-?\\s*:position$" },
+    { service: "Clinic", expression: "^(?:Clinic|Ambulatory)" },
+    { service: "Night Float", expression: "^NF :position/:position$" },
+];
+
+// Academic year and first day of the only block of the schedule status tests
+const PROGRAM_YEAR = { minDate: "2023-07-26T00:00:00Z", maxDate: "2023-12-11T23:59:59Z" },
+    BLOCK = { role: "Intern", block: "1A", start_date: "2023-07-27", end_date: "2023-08-09" };
+
+/**
+ * Build storage with only the service expressions, which is all that
+ * `getRegexForRotationsByScheduled` reads
+ * @return {Object}     Storage object
+ */
+function buildServiceRegexStorage() {
+    return { getServiceRegexes: async () => SERVICE_REGEXES };
+}
+
+/**
+ * Build the rotations that are off and maybe off, see `getRotationsByScheduledForRoleAndBlockInfo`
+ * @param  {Object} off         Keys are services, values are a position or an array of positions
+ * @param  {Object} maybeOff    Keys are services, values are a position or an array of positions
+ * @return {Object}             Object keyed by the classification keys
+ */
+function buildRotationsByScheduled(off, maybeOff = {}) {
+    const buildPositionsByService = (rotations) =>
+        Object.fromEntries(
+            Object.entries(rotations).map(([service, positions]) => [service, [].concat(positions)])
+        );
+    return {
+        [process.env.CLASSIFICATION_KEY_OFF]: buildPositionsByService(off),
+        [process.env.CLASSIFICATION_KEY_MAYBE_OFF]: buildPositionsByService(maybeOff),
+    };
+}
+
+/**
+ * Build the schedule status of the first day of an intern block from `local` storage with only the
+ * service expressions, templates for that day, and schedules for that block
+ * @param  {Object} rotationsByScheduled    Object built by `buildRotationsByScheduled`
+ * @param  {Object} assignmentByName        Keys are names, values are assignments
+ * @param  {Boolean} shouldExplain          Whether to explain each status
+ * @return {Object}                         Object built by `buildScheduleStatusForDate`
+ */
+async function buildScheduleStatus(rotationsByScheduled, assignmentByName, shouldExplain = false) {
+    const directory = await mkdtemp(path.join(os.tmpdir(), "off-days-classify-")),
+        scheduledByClassificationKey = {
+            [process.env.CLASSIFICATION_KEY_OFF]: process.env.SCHEDULED_OFF,
+            [process.env.CLASSIFICATION_KEY_MAYBE_OFF]: process.env.SCHEDULED_MAYBE_OFF,
+        },
+        itemsByTableName = {
+            [process.env.TABLE_BLOCKS]: [BLOCK],
+            [process.env.TABLE_ROLES]: [
+                { role: BLOCK.role, block_length: "14", sub_block_labels: "A B" },
+            ],
+            [process.env.TABLE_SERVICE_REGEX]: SERVICE_REGEXES,
+            [process.env.TABLE_TEMPLATES]: Object.entries(rotationsByScheduled).flatMap(
+                ([classificationKey, positionsByService]) =>
+                    Object.entries(positionsByService).flatMap(([service, positions]) =>
+                        positions.map((position) => ({
+                            1: scheduledByClassificationKey[classificationKey],
+                            role: BLOCK.role,
+                            service,
+                            position,
+                            block_type: "Any",
+                        }))
+                    )
+            ),
+            [process.env.TABLE_SCHEDULES]: Object.entries(assignmentByName).map(
+                ([name, assignment]) => ({ name, role: BLOCK.role, [BLOCK.block]: assignment })
+            ),
+        };
+    try {
+        for (const [tableName, items] of Object.entries(itemsByTableName)) {
+            await writeFile(path.join(directory, `${tableName}.json`), JSON.stringify(items));
+        }
+        return await buildScheduleStatusForDate(
+            buildLocalStorage(directory),
+            PROGRAM_YEAR,
+            dayjs(BLOCK.start_date),
+            null,
+            shouldExplain
+        );
+    } finally {
+        await rm(directory, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Gets the names in each classification key that is not for leave
+ * @param  {Object} scheduleStatus  Object built by `buildScheduleStatusForDate`
+ * @return {Object}                 Keys are classification keys, values are names
+ */
+function getNamesByClassificationKey(scheduleStatus) {
+    return Object.fromEntries(
+        [
+            process.env.CLASSIFICATION_KEY_OFF,
+            process.env.CLASSIFICATION_KEY_MAYBE_OFF,
+            process.env.CLASSIFICATION_KEY_LIKELY_NOT_OFF,
+        ].map((key) => [key, scheduleStatus[key].map(({ name }) => name)])
+    );
+}
+
+before(setUpEnvironment);
+
+describe("getRegexForRotationsByScheduled", () => {
+    test("substitutes the position of the template for the placeholder", async () => {
+        const regExpInfo = await getRegexForRotationsByScheduled(
+                buildServiceRegexStorage(),
+                buildRotationsByScheduled({ Osler: "A" }, { CCU: "B" })
+            ),
+            [osler] = regExpInfo[process.env.CLASSIFICATION_KEY_OFF],
+            [ccu] = regExpInfo[process.env.CLASSIFICATION_KEY_MAYBE_OFF];
+        assert.equal(osler.expression, "^Osler\\s*-?\\s*A$");
+        assert.equal(osler.position, "A");
+        assert.equal(osler.scheduled, process.env.SCHEDULED_OFF);
+        assert.ok(osler.regex.test("Osler - A"));
+        assert.ok(osler.regex.test("osler a"));
+        assert.ok(!osler.regex.test("Osler - B"));
+        assert.equal(ccu.expression, "^CCU\\s*-?\\s*B$");
+        assert.equal(ccu.scheduled, process.env.SCHEDULED_MAYBE_OFF);
+    });
+
+    test("substitutes every placeholder in an expression", async () => {
+        const regExpInfo = await getRegexForRotationsByScheduled(
+                buildServiceRegexStorage(),
+                buildRotationsByScheduled({ "Night Float": "2" })
+            ),
+            [nightFloat] = regExpInfo[process.env.CLASSIFICATION_KEY_OFF];
+        assert.equal(nightFloat.expression, "^NF 2/2$");
+        assert.ok(nightFloat.regex.test("NF 2/2"));
+    });
+
+    test("leaves expressions without a placeholder as they are", async () => {
+        const regExpInfo = await getRegexForRotationsByScheduled(
+                buildServiceRegexStorage(),
+                buildRotationsByScheduled({ Clinic: "1" })
+            ),
+            [clinic] = regExpInfo[process.env.CLASSIFICATION_KEY_OFF];
+        assert.equal(clinic.expression, "^(?:Clinic|Ambulatory)");
+        assert.ok(clinic.regex.test("Ambulatory"));
+    });
+
+    test("has an expression for each position of a service that is off", async () => {
+        const regExpInfo = await getRegexForRotationsByScheduled(
+                buildServiceRegexStorage(),
+                buildRotationsByScheduled({ Osler: ["A", "C"] }, { Osler: "B" })
+            ),
+            toExpressions = (serviceRegexes) => serviceRegexes.map(({ expression }) => expression);
+        assert.deepEqual(toExpressions(regExpInfo[process.env.CLASSIFICATION_KEY_OFF]), [
+            "^Osler\\s*-?\\s*A$",
+            "^Osler\\s*-?\\s*C$",
+        ]);
+        assert.deepEqual(toExpressions(regExpInfo[process.env.CLASSIFICATION_KEY_MAYBE_OFF]), [
+            "^Osler\\s*-?\\s*B$",
+        ]);
+    });
+
+    test("only includes services that are off or maybe off", async () => {
+        const regExpInfo = await getRegexForRotationsByScheduled(
+            buildServiceRegexStorage(),
+            buildRotationsByScheduled({ Osler: "A" })
+        );
+        assert.deepEqual(
+            regExpInfo[process.env.CLASSIFICATION_KEY_OFF].map(({ service }) => service),
+            ["Osler"]
+        );
+        assert.deepEqual(regExpInfo[process.env.CLASSIFICATION_KEY_MAYBE_OFF], []);
+    });
+});
+
+describe("buildScheduleStatusForDate", () => {
+    test("classifies each assignment by the expressions it matches", async () => {
+        const scheduleStatus = await buildScheduleStatus(
+            buildRotationsByScheduled({ Osler: "A", Clinic: "1" }, { CCU: "B" }),
+            {
+                "Ava Thompson": "Osler - A",
+                "Noah Kim": "Osler - B",
+                "Priya Raman": "CCU B",
+                "Liam O'Brien": "Ambulatory",
+                "José Núñez": "Vacation",
+            }
+        );
+        assert.deepEqual(getNamesByClassificationKey(scheduleStatus), {
+            [process.env.CLASSIFICATION_KEY_OFF]: ["Ava Thompson", "Liam O'Brien"],
+            [process.env.CLASSIFICATION_KEY_MAYBE_OFF]: ["Priya Raman"],
+            [process.env.CLASSIFICATION_KEY_LIKELY_NOT_OFF]: ["José Núñez", "Noah Kim"],
+        });
+        assert.deepEqual(scheduleStatus[process.env.CLASSIFICATION_KEY_OFF][0], {
+            name: "Ava Thompson",
+            role: "Intern",
+            assignment: "Osler - A",
+        });
+    });
+
+    test("prefers maybe off when an assignment matches both", async () => {
+        // the clinic expression is not anchored at the end, so it also matches this
+        const scheduleStatus = await buildScheduleStatus(
+            buildRotationsByScheduled({ Clinic: "1" }, { Osler: "A" }),
+            { "Ava Thompson": "Osler A" }
+        );
+        assert.deepEqual(getNamesByClassificationKey(scheduleStatus), {
+            [process.env.CLASSIFICATION_KEY_OFF]: [],
+            [process.env.CLASSIFICATION_KEY_MAYBE_OFF]: ["Ava Thompson"],
+            [process.env.CLASSIFICATION_KEY_LIKELY_NOT_OFF]: [],
+        });
+    });
+
+    test("puts everyone in likely not off when nothing is off", async () => {
+        const scheduleStatus = await buildScheduleStatus(buildRotationsByScheduled({}), {
+            "Ava Thompson": "Osler - A",
+            "Noah Kim": undefined,
+        });
+        assert.deepEqual(
+            getNamesByClassificationKey(scheduleStatus)[
+                process.env.CLASSIFICATION_KEY_LIKELY_NOT_OFF
+            ],
+            ["Ava Thompson", "Noah Kim"]
+        );
+    });
+
+    test("explains the template and expression behind each status", async () => {
+        const scheduleStatus = await buildScheduleStatus(
+                buildRotationsByScheduled({ Osler: "A" }),
+                { "Ava Thompson": "Osler - A", "Noah Kim": "CCU - A" },
+                true
+            ),
+            [matched] = scheduleStatus[process.env.CLASSIFICATION_KEY_OFF],
+            [unmatched] = scheduleStatus[process.env.CLASSIFICATION_KEY_LIKELY_NOT_OFF];
+        assert.deepEqual(matched.explanation.template, {
+            service: "Osler",
+            position: "A",
+            scheduled: process.env.SCHEDULED_OFF,
+        });
+        assert.equal(matched.explanation.expression, "^Osler\\s*-?\\s*A$");
+        assert.equal(unmatched.explanation.template, null);
+        assert.deepEqual(
+            unmatched.explanation.candidates.map(({ expression }) => expression),
+            ["^Osler\\s*-?\\s*A$"]
+        );
+    });
+});
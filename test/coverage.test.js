@@ -0,0 +1,145 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startApp } from "./harness.js";
+
+let app, token;
+
+before(async () => {
+    app = await startApp();
+    token = await app.logIn();
+});
+
+after(() => app?.close());
+
+describe("GET /coverage/:date", () => {
+    test("groups everyone by the service and team of their assignment", async () => {
+        const coverage = await getCoverage("2023-09-14"),
+            ccu = findService(coverage, "CCU");
+        assert.deepEqual(
+            coverage.services.map(({ service }) => service),
+            ["Bayview ICU", "CCU", "Clinic", "MICU", "Osler", "Vacation"]
+        );
+        assert.deepEqual(
+            ccu.teams.map(({ position, people }) => [position, people.map(({ name }) => name)]),
+            [
+                ["A", ["Liam O'Brien"]],
+                ["B", ["José Núñez", "Mateo García"]],
+            ]
+        );
+        assert.deepEqual(ccu.teams[1].people[1], {
+            name: "Mateo García",
+            role: "Resident",
+            assignment: "CCU B",
+            status: "likelyNotOff",
+        });
+    });
+
+    test("uses the positions of date template sites", async () => {
+        const bayview = findService(await getCoverage("2023-09-14"), "Bayview ICU");
+        assert.deepEqual(
+            bayview.teams.map(({ position, numWorking }) => [position, numWorking]),
+            [
+                ["1", 0],
+                ["2", 1],
+                ["3", 1],
+                ["4", 0],
+            ]
+        );
+    });
+
+    test("puts services without a position placeholder in a single team", async () => {
+        const clinic = findService(await getCoverage("2023-09-14"), "Clinic");
+        assert.deepEqual(
+            clinic.teams.map(({ position }) => position),
+            [null]
+        );
+    });
+
+    test("counts people by status for each service and team", async () => {
+        const osler = findService(await getCoverage("2023-10-31"), "Osler");
+        assert.deepEqual(pickCounts(osler), {
+            numWorking: 3,
+            numOff: 0,
+            numMaybeOff: 2,
+            numOnLeave: 0,
+        });
+        assert.deepEqual(
+            osler.teams.map((team) => pickCounts(team).numWorking + pickCounts(team).numMaybeOff),
+            [3, 1, 1, 0]
+        );
+    });
+
+    test("flags services with fewer people working than their minimum staffing", async () => {
+        const [earlier, later] = await Promise.all([
+            getCoverage("2023-09-14"),
+            getCoverage("2023-10-31"),
+        ]);
+        assert.deepEqual(earlier.understaffedServices, ["Osler"]);
+        assert.equal(findService(earlier, "Osler").minStaffing, 2);
+        assert.equal(findService(earlier, "CCU").isUnderstaffed, false);
+        assert.deepEqual(later.understaffedServices, ["CCU"]);
+        assert.equal(findService(later, "Clinic").minStaffing, null);
+        assert.equal(findService(later, "Clinic").isUnderstaffed, false);
+    });
+
+    test("lists people whose assignment does not match a service", async () => {
+        const coverage = await getCoverage("2023-09-14");
+        assert.deepEqual(
+            coverage.unmatched.map(({ name, assignment }) => [name, assignment]),
+            [
+                ["Chloé Dubois", "Night Float"],
+                ["Lucas Moreau", "Consults"],
+            ]
+        );
+    });
+
+    test("applies overrides", async () => {
+        const { body } = await app.request("POST", "/overrides", {
+            body: { type: "status", name: "Liam O'Brien", date: "2023-09-15", status: "off" },
+            token,
+        });
+        const ccu = findService(await getCoverage("2023-09-15"), "CCU");
+        await app.request("DELETE", `/overrides/${body.override.id}`, { token });
+        assert.equal(ccu.teams[0].people[0].status, "off");
+        assert.equal(ccu.numOff, 1);
+    });
+
+    test("does not allow dates outside of the academic year", async () => {
+        const { status, body } = await app.request("GET", "/coverage/2023-07-26", { token });
+        assert.equal(status, 400);
+        assert.equal(body.error.code, "DATE_OUT_OF_RANGE");
+    });
+});
+
+// Helpers
+// -------
+
+/**
+ * Gets the coverage for a date
+ * @param  {String} date    Date in the `FORMAT_DATE` format
+ * @return {Object}         Object built by `buildCoverageForDate`
+ */
+async function getCoverage(date) {
+    const { status, body } = await app.request("GET", `/coverage/${date}`, { token });
+    assert.equal(status, 200);
+    return body.coverage;
+}
+
+/**
+ * Find a service in the coverage for a date
+ * @param  {Object} coverage    Object built by `buildCoverageForDate`
+ * @param  {String} service     Service name
+ * @return {Object}             Service object
+ */
+function findService(coverage, service) {
+    return coverage.services.find((serviceCoverage) => serviceCoverage.service === service);
+}
+
+/**
+ * Only keep the counts of a service or team
+ * @param  {Object} serviceOrTeam   Service or team object
+ * @return {Object}                 Object with the `num*` keys
+ */
+function pickCounts({ numWorking, numOff, numMaybeOff, numOnLeave }) {
+    return { numWorking, numOff, numMaybeOff, numOnLeave };
+}
@@ -0,0 +1,147 @@
+import { once } from "events";
+import { readFileSync } from "fs";
+import { cp, mkdtemp, rm } from "fs/promises";
+import http from "http";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const ROOT_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url))),
+    // PINs of the regular and admin cohorts of the default program during the tests, and of another
+    // regular cohort for tests of what cohorts can see of each other's data
+    PIN = "1234",
+    ADMIN_PIN = "9999",
+    OTHER_PIN = "5678";
+
+/**
+ * Set the environment variables that `serverless.yml` gives the functions, using the defaults of
+ * the ones that come from `.env`, so that helpers can be tested without starting the app
+ */
+export function setUpEnvironment() {
+    Object.assign(process.env, loadServerlessEnvironment(), {
+        AUTH_TOKEN_SECRET: "test-secret",
+        AUTH_PINS: `default:${PIN},admins:${ADMIN_PIN},others:${OTHER_PIN}`,
+        AUTH_ADMIN_COHORTS: "admins",
+        // keeps the output of the tests readable, tests of the logs lower it
+        LOG_LEVEL: "warn",
+    });
+}
+
+/**
+ * Start the app on a random port with the `local` storage backend reading a copy of the fixture
+ * academic year in `fixtures`, so that tests can write without changing the fixtures. Storage is
+ * kept for the life of the process, so only start the app once per test file
+ * @return {Object}     Object with methods `request(method, path, options)` (options are an
+ *                          optional `body`, `contentType`, `token`, and `headers`, returns the
+ *                          `status`, `headers`, and parsed `body`),
+ *                          `logIn(isAdmin)` (returns a token), `logInToOtherCohort()` (returns a
+ *                          token of a regular cohort other than the one of `logIn`), and `close()`
+ */
+export async function startApp() {
+    const storageDir = await mkdtemp(path.join(os.tmpdir(), "off-days-test-"));
+    await cp(path.join(ROOT_DIR, "fixtures"), storageDir, { recursive: true });
+    setUpEnvironment();
+    Object.assign(process.env, { STORAGE_BACKEND: "local", STORAGE_LOCAL_DIR: storageDir });
+    const { app } = await import("../index.js"),
+        server = app.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    const request = (method, urlPath, options) =>
+        sendRequest(server.address().port, method, urlPath, options);
+    return {
+        request,
+        logIn: async (isAdmin = false) => {
+            const { body } = await request("POST", "/validate", {
+                body: { pin: isAdmin ? ADMIN_PIN : PIN },
+            });
+            return body.token;
+        },
+        logInToOtherCohort: async () => {
+            const { body } = await request("POST", "/validate", { body: { pin: OTHER_PIN } });
+            return body.token;
+        },
+        close: async () => {
+            server.close();
+            await rm(storageDir, { recursive: true, force: true });
+        },
+    };
+}
+
+// Helpers
+// -------
+
+/**
+ * Read the `provider.environment` section of `serverless.yml`, where `${env:NAME, "default"}`
+ * values are replaced by their defaults
+ * @return {Object}     Keys are environment variable names, values are their values
+ */
+function loadServerlessEnvironment() {
+    const lines = readFileSync(path.join(ROOT_DIR, "serverless.yml"), "utf8").split("\n"),
+        environment = Object.create(null);
+    let isInEnvironment = false;
+    for (const line of lines) {
+        if (line === "  environment:") {
+            isInEnvironment = true;
+        } else if (isInEnvironment && !line.startsWith("    ")) {
+            break;
+        } else if (isInEnvironment && !line.trim().startsWith("#")) {
+            const [, name, value] = line.match(/^\s+(\w+):\s*(.*)$/);
+            environment[name] = unquote(value.replace(/^\$\{env:\w+(?:,\s*(.*))?\}$/, "$1"));
+        }
+    }
+    return environment;
+}
+
+/**
+ * Remove the quotes around a YAML string
+ * @param  {String} value   YAML value
+ * @return {String}         Value without quotes
+ */
+function unquote(value) {
+    return value.replace(/^"(.*)"$/, "$1");
+}
+
+/**
+ * Send a request to the app
+ * @param  {Number} port        Port the app is listening on
+ * @param  {String} method      HTTP method
+ * @param  {String} urlPath     Path with the query string
+ * @param  {Object} options     Object with optional keys `body` (sent as is if text, otherwise as
+ *                                  JSON), `contentType` of a text body, `token`, and other
+ *                                  `headers`
+ * @return {Object}             Object with keys `status`, `headers`, and `body` (parsed if JSON)
+ */
+function sendRequest(port, method, urlPath, { body, contentType, token, headers = {} } = {}) {
+    const payload =
+        body === undefined ? null : typeof body === "string" ? body : JSON.stringify(body);
+    return new Promise((resolve, reject) => {
+        const req = http.request(
+            {
+                host: "127.0.0.1",
+                port,
+                method,
+                path: urlPath,
+                headers: {
+                    ...(payload ? { "Content-Type": contentType ?? "application/json" } : {}),
+                    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                    ...headers,
+                },
+            },
+            (res) => {
+                const chunks = [];
+                res.on("data", (chunk) => chunks.push(chunk));
+                res.on("end", () => {
+                    const text = Buffer.concat(chunks).toString("utf8");
+                    resolve({
+                        status: res.statusCode,
+                        headers: res.headers,
+                        body: res.headers["content-type"]?.includes("json")
+                            ? JSON.parse(text)
+                            : text,
+                    });
+                });
+            }
+        );
+        req.on("error", reject);
+        req.end(payload ?? undefined);
+    });
+}
@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { before, describe, test } from "node:test";
+import {
+    isDateWithinBounds,
+    tryBuildDayFromDate,
+    tryBuildDaysFromDateRange,
+} from "../helpers/input.js";
+import {
+    ERROR_CODE_DATE_OUT_OF_RANGE,
+    ERROR_CODE_INVALID_REQUEST,
+} from "../helpers/status-error.js";
+import { setUpEnvironment } from "./harness.js";
+
+// Bounds of the fixture academic year in `fixtures/Programs.json`
+const BOUNDS = { minDate: "2023-07-26T00:00:00Z", maxDate: "2023-12-11T23:59:59Z" };
+
+before(setUpEnvironment);
+
+describe("tryBuildDayFromDate", () => {
+    test("does not allow the min date since it is exclusive", () => {
+        assert.throws(() => tryBuildDayFromDate("2023-07-26", BOUNDS), {
+            statusCode: 400,
+            code: ERROR_CODE_DATE_OUT_OF_RANGE,
+            details: { minDate: "2023-07-27", maxDate: "2023-12-11" },
+        });
+        assert.equal(isDateWithinBounds("2023-07-26", BOUNDS), false);
+    });
+
+    test("allows the day after the min date", () => {
+        assert.equal(tryBuildDayFromDate("2023-07-27", BOUNDS).format("YYYY-MM-DD"), "2023-07-27");
+    });
+
+    test("allows the max date since it is inclusive", () => {
+        assert.equal(tryBuildDayFromDate("2023-12-11", BOUNDS).format("YYYY-MM-DD"), "2023-12-11");
+        assert.throws(() => tryBuildDayFromDate("2023-12-12", BOUNDS), {
+            code: ERROR_CODE_DATE_OUT_OF_RANGE,
+        });
+    });
+
+    test("uses the start of the day", () => {
+        assert.equal(tryBuildDayFromDate("2023-08-01T15:00:00", BOUNDS).hour(), 0);
+    });
+
+    test("does not allow dates that are not valid", () => {
+        assert.throws(() => tryBuildDayFromDate("not a date", BOUNDS), {
+            statusCode: 400,
+            code: ERROR_CODE_INVALID_REQUEST,
+        });
+    });
+});
+
+describe("tryBuildDaysFromDateRange", () => {
+    test("builds every day of the range including both ends", () => {
+        assert.deepEqual(
+            tryBuildDaysFromDateRange("2023-08-30", "2023-09-02", BOUNDS).map((day) =>
+                day.format("YYYY-MM-DD")
+            ),
+            ["2023-08-30", "2023-08-31", "2023-09-01", "2023-09-02"]
+        );
+    });
+
+    test("does not allow ranges that end before they start", () => {
+        assert.throws(() => tryBuildDaysFromDateRange("2023-09-02", "2023-08-30", BOUNDS), {
+            code: ERROR_CODE_INVALID_REQUEST,
+        });
+    });
+
+    test("does not allow ranges that start on the min date", () => {
+        assert.throws(() => tryBuildDaysFromDateRange("2023-07-26", "2023-07-28", BOUNDS), {
+            code: ERROR_CODE_DATE_OUT_OF_RANGE,
+        });
+    });
+
+    test("does not allow ranges longer than the max number of days", () => {
+        const maxDays = process.env.MAX_DATE_RANGE_DAYS;
+        process.env.MAX_DATE_RANGE_DAYS = "3";
+        try {
+            assert.equal(tryBuildDaysFromDateRange("2023-08-30", "2023-09-01", BOUNDS).length, 3);
+            assert.throws(() => tryBuildDaysFromDateRange("2023-08-30", "2023-09-02", BOUNDS), {
+                statusCode: 400,
+                code: ERROR_CODE_INVALID_REQUEST,
+                details: { maxDays: 3 },
+            });
+        } finally {
+            process.env.MAX_DATE_RANGE_DAYS = maxDays;
+        }
+    });
+});
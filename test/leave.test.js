@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startApp } from "./harness.js";
+
+const LEAVE = { name: "Ava Thompson", from: "2023-09-14", to: "2023-09-15" };
+
+let app, token, otherToken, adminToken;
+
+before(async () => {
+    app = await startApp();
+    [token, otherToken, adminToken] = await Promise.all([
+        app.logIn(),
+        app.logInToOtherCohort(),
+        app.logIn(true),
+    ]);
+});
+
+after(() => app?.close());
+
+describe("leave of other cohorts", () => {
+    let id;
+
+    before(async () => {
+        const { body } = await app.request("POST", "/leave", { body: LEAVE, token });
+        id = body.leave.id;
+    });
+
+    test("can be read but not replaced or deleted", async () => {
+        const [{ status: readStatus }, { status: replaceStatus }, { status: deleteStatus }] =
+            await Promise.all([
+                app.request("GET", `/leave/${id}`, { token: otherToken }),
+                app.request("PUT", `/leave/${id}`, {
+                    body: { ...LEAVE, to: "2023-09-20" },
+                    token: otherToken,
+                }),
+                app.request("DELETE", `/leave/${id}`, { token: otherToken }),
+            ]);
+        assert.equal(readStatus, 200);
+        assert.equal(replaceStatus, 403);
+        assert.equal(deleteStatus, 403);
+        const { body } = await app.request("GET", `/leave/${id}`, { token });
+        assert.equal(body.leave.end_date, LEAVE.to);
+    });
+
+    test("can be replaced by the cohort that recorded them", async () => {
+        const { status, body } = await app.request("PUT", `/leave/${id}`, {
+            body: { ...LEAVE, to: "2023-09-20" },
+            token,
+        });
+        assert.equal(status, 200);
+        assert.equal(body.leave.end_date, "2023-09-20");
+        assert.equal(body.leave.createdBy, "default");
+    });
+
+    test("can be deleted by admins", async () => {
+        const { status } = await app.request("DELETE", `/leave/${id}`, { token: adminToken });
+        assert.equal(status, 204);
+    });
+});
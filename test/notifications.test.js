@@ -0,0 +1,239 @@
+import assert from "node:assert/strict";
+import { once } from "events";
+import http from "http";
+import net from "net";
+import { after, before, describe, test } from "node:test";
+import { buildSmtpTransport } from "../helpers/notifications/smtp.js";
+import { buildWebhookTransport } from "../helpers/notifications/webhook.js";
+import { setUpEnvironment } from "./harness.js";
+
+const MESSAGE = { subject: "Shared off days", text: "Alice and Bob are both off on 2023-08-30" };
+
+before(setUpEnvironment);
+
+describe("email transport", () => {
+    test("sends through a server whose replies span several lines", async () => {
+        const server = await startSmtpServer();
+        try {
+            await buildSmtpTransport().send({ address: "alice@example.com" }, MESSAGE);
+            assert.ok(server.commands.includes("MAIL FROM:<digests@example.com>"));
+            assert.ok(server.commands.includes("RCPT TO:<alice@example.com>"));
+            assert.match(server.messages[0], /^Subject: Shared off days$/m);
+            assert.match(server.messages[0], /Alice and Bob are both off on 2023-08-30/);
+        } finally {
+            await server.close();
+        }
+    });
+
+    test("fails when the server advertises STARTTLS but refuses it", async () => {
+        const server = await startSmtpServer({
+            extensions: ["STARTTLS"],
+            replies: { STARTTLS: "454 TLS not available" },
+        });
+        try {
+            await assert.rejects(
+                buildSmtpTransport().send({ address: "alice@example.com" }, MESSAGE),
+                /STARTTLS/
+            );
+            assert.equal(server.messages.length, 0);
+        } finally {
+            await server.close();
+        }
+    });
+
+    test("does not log in when the server does not support STARTTLS", async () => {
+        const server = await startSmtpServer({ extensions: ["AUTH PLAIN LOGIN"] });
+        process.env.SMTP_USER = "digests";
+        process.env.SMTP_PASSWORD = "secret";
+        try {
+            await assert.rejects(
+                buildSmtpTransport().send({ address: "alice@example.com" }, MESSAGE),
+                /STARTTLS/
+            );
+            assert.ok(!server.commands.some((command) => command.startsWith("AUTH")));
+        } finally {
+            process.env.SMTP_USER = "";
+            process.env.SMTP_PASSWORD = "";
+            await server.close();
+        }
+    });
+
+    test("fails when the server rejects the recipient", async () => {
+        const server = await startSmtpServer({ replies: { RCPT: "550 5.1.1 No such user" } });
+        try {
+            await assert.rejects(
+                buildSmtpTransport().send({ address: "nobody@example.com" }, MESSAGE),
+                /550/
+            );
+            assert.equal(server.messages.length, 0);
+        } finally {
+            await server.close();
+        }
+    });
+
+    test("fails without a server or from address", async () => {
+        process.env.SMTP_HOST = "";
+        await assert.rejects(
+            buildSmtpTransport().send({ address: "alice@example.com" }, MESSAGE),
+            /SMTP_HOST and DIGEST_FROM_ADDRESS must be set/
+        );
+    });
+});
+
+describe("webhook transport", () => {
+    let server, requests, status;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            const chunks = [];
+            req.on("data", (chunk) => chunks.push(chunk));
+            req.on("end", () => {
+                requests.push({
+                    headers: req.headers,
+                    body: JSON.parse(Buffer.concat(chunks).toString("utf8")),
+                });
+                res.writeHead(status).end();
+            });
+        });
+        server.listen(0, "127.0.0.1");
+        await once(server, "listening");
+    });
+
+    after(() => server.close());
+
+    /**
+     * Send the message to the stub server with private hosts allowed or not
+     * @param  {Boolean} isPrivateHostAllowed   Value of `WEBHOOK_ALLOW_PRIVATE_HOSTS`
+     */
+    async function send(isPrivateHostAllowed) {
+        requests = [];
+        process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = String(isPrivateHostAllowed);
+        try {
+            await buildWebhookTransport().send(
+                {
+                    address: `http://127.0.0.1:${server.address().port}/hook`,
+                    webhookFields: { bot_id: "123" },
+                },
+                MESSAGE
+            );
+        } finally {
+            process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = "false";
+        }
+    }
+
+    test("posts the message and the webhook fields as JSON", async () => {
+        status = 200;
+        await send(true);
+        assert.equal(requests.length, 1);
+        assert.equal(requests[0].headers["content-type"], "application/json");
+        assert.deepEqual(requests[0].body, {
+            bot_id: "123",
+            text: `${MESSAGE.subject}\n\n${MESSAGE.text}`,
+        });
+    });
+
+    test("fails when the webhook does not respond with 2xx", async () => {
+        status = 500;
+        await assert.rejects(send(true), /status 500/);
+    });
+
+    test("does not post to private hosts unless they are allowed", async () => {
+        status = 200;
+        await assert.rejects(send(false), /not allowed/);
+        assert.equal(requests.length, 0);
+    });
+});
+
+// Helpers
+// -------
+
+/**
+ * Start a stub SMTP server on a random port and point the `SMTP_*` environment variables at it.
+ * Its greeting and EHLO replies span several lines, it refuses STARTTLS unless it is one of the
+ * extensions, and it accepts every other command unless it has a reply for it
+ * @param  {Object} options     Object with optional keys `extensions` (advertised in the EHLO
+ *                                  reply) and `replies` (keys are commands, values are replies)
+ * @return {Object}             Object with keys `commands` (received so far), `messages` (bodies
+ *                                  of the messages received so far), and `close()`
+ */
+async function startSmtpServer({ extensions = [], replies = {} } = {}) {
+    const commands = [],
+        messages = [],
+        sockets = new Set(),
+        server = net.createServer((socket) => {
+            sockets.add(socket);
+            socket.on("close", () => sockets.delete(socket));
+            let buffer = "",
+                data = null;
+            const reply = (...lines) =>
+                socket.write(
+                    lines
+                        .map((line, i) => {
+                            // every line but the last has a `-` after the reply code
+                            const separator = i < lines.length - 1 ? "-" : " ";
+                            return `${line.slice(0, 3)}${separator}${line.slice(4)}\r\n`;
+                        })
+                        .join("")
+                );
+            reply("220 stub.example.com ESMTP", "220 ready");
+            socket.on("data", (chunk) => {
+                buffer += chunk.toString("utf8");
+                let index;
+                while ((index = buffer.indexOf("\r\n")) !== -1) {
+                    const line = buffer.slice(0, index);
+                    buffer = buffer.slice(index + 2);
+                    if (data !== null) {
+                        if (line === ".") {
+                            messages.push(data.join("\r\n"));
+                            data = null;
+                            reply("250 2.0.0 queued");
+                        } else {
+                            data.push(line.replace(/^\./, ""));
+                        }
+                        continue;
+                    }
+                    commands.push(line);
+                    const verb = line.split(/[ :]/)[0].toUpperCase();
+                    if (replies[verb]) {
+                        reply(replies[verb]);
+                    } else if (verb === "STARTTLS" && !extensions.includes("STARTTLS")) {
+                        reply("502 5.5.1 STARTTLS not supported");
+                    } else if (verb === "EHLO") {
+                        reply(
+                            "250 stub.example.com",
+                            "250 SIZE 1000000",
+                            ...extensions.map((extension) => `250 ${extension}`),
+                            "250 8BITMIME"
+                        );
+                    } else if (verb === "DATA") {
+                        data = [];
+                        reply("354 end data with <CR><LF>.<CR><LF>");
+                    } else if (verb === "QUIT") {
+                        reply("221 bye");
+                        socket.end();
+                    } else {
+                        reply("250 ok");
+                    }
+                }
+            });
+        });
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    Object.assign(process.env, {
+        SMTP_HOST: "127.0.0.1",
+        SMTP_PORT: String(server.address().port),
+        SMTP_SECURE: "false",
+        DIGEST_FROM_ADDRESS: "digests@example.com",
+    });
+    return {
+        commands,
+        messages,
+        close: async () => {
+            for (const socket of sockets) {
+                socket.destroy();
+            }
+            server.close();
+            await once(server, "close");
+        },
+    };
+}
@@ -0,0 +1,158 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, describe, test } from "node:test";
+import { setImmediate } from "node:timers/promises";
+import { buildMetrics } from "../helpers/metrics.js";
+import { startApp } from "./harness.js";
+
+let app, token, adminToken, logs;
+const consoleLog = console.log;
+
+before(async () => {
+    app = await startApp();
+    [token, adminToken] = await Promise.all([app.logIn(), app.logIn(true)]);
+});
+
+afterEach(() => {
+    console.log = consoleLog;
+    process.env.LOG_LEVEL = "warn";
+});
+
+after(() => app?.close());
+
+describe("request logs", () => {
+    test("logs each request as JSON with its id and metrics", async () => {
+        captureLogs("info");
+        const { status, headers } = await app.request("GET", "/schedule-status/2023-09-14", {
+                token,
+            }),
+            requestLogs = await getLogs("Handled request");
+        assert.equal(status, 200);
+        assert.match(headers["x-request-id"], /^[\w-]+$/);
+        assert.equal(requestLogs.length, 1);
+        const [entry] = requestLogs;
+        assert.equal(entry.level, "info");
+        assert.equal(entry.requestId, headers["x-request-id"]);
+        assert.equal(entry.path, "/schedule-status/2023-09-14");
+        assert.equal(entry.statusCode, 200);
+        assert.equal(entry.programId, "default");
+        // metrics are split by the route's pattern rather than its path
+        assert.equal(entry.Route, "GET /schedule-status/:date");
+        assert.equal(entry.Requests, 1);
+        assert.equal(entry.Errors, 0);
+        assert.equal(typeof entry.Latency, "number");
+        assert.deepEqual(entry._aws.CloudWatchMetrics[0].Dimensions, [["Route"], []]);
+    });
+
+    test("uses the request id of the client and leaves the token out", async () => {
+        captureLogs("info");
+        const { headers } = await app.request("GET", "/schedule-status/2023-09-14?token=secret", {
+                headers: { "X-Request-Id": "client-request-1" },
+            }),
+            [entry] = await getLogs("Handled request");
+        assert.equal(headers["x-request-id"], "client-request-1");
+        assert.equal(entry.requestId, "client-request-1");
+        assert.equal(entry.path, "/schedule-status/2023-09-14");
+        assert.equal(entry.statusCode, 401);
+        assert.equal(entry.ClientErrors, 1);
+    });
+
+    test("logs the storage calls of a request at the debug level", async () => {
+        captureLogs("debug");
+        // checking the tables calls the storage without going through its cache
+        const { headers } = await app.request("GET", "/admin/health", { token: adminToken }),
+            storageLogs = await getLogs("Called storage"),
+            [entry] = await getLogs("Handled request");
+        assert.ok(
+            storageLogs.some(({ method, table }) => method === "checkTable" && table === "Leave")
+        );
+        assert.ok(storageLogs.every(({ requestId }) => requestId === headers["x-request-id"]));
+        assert.ok(
+            storageLogs.every(
+                ({ method, durationMs }) => typeof method === "string" && durationMs >= 0
+            )
+        );
+        assert.equal(entry.storage.numCalls, storageLogs.length);
+        assert.equal(entry.StorageCalls, storageLogs.length);
+    });
+});
+
+describe("buildMetrics", () => {
+    test("builds an embedded metric format document", () => {
+        process.env.METRICS_NAMESPACE = "Test";
+        const fields = buildMetrics({ Route: "GET /health" }, [
+            { name: "Requests", unit: "Count", value: 1 },
+        ]);
+        assert.deepEqual(fields._aws.CloudWatchMetrics, [
+            {
+                Namespace: "Test",
+                Dimensions: [["Route"], []],
+                Metrics: [{ Name: "Requests", Unit: "Count" }],
+            },
+        ]);
+        assert.equal(fields.Route, "GET /health");
+        assert.equal(fields.Requests, 1);
+    });
+});
+
+describe("GET /health", () => {
+    test("only reports the status without a token", async () => {
+        const { status, body } = await app.request("GET", "/health");
+        assert.equal(status, 200);
+        assert.deepEqual(body, { health: { status: "ok" } });
+    });
+});
+
+describe("GET /admin/health", () => {
+    test("reports every table of the program as reachable", async () => {
+        const { status, body } = await app.request("GET", "/admin/health", { token: adminToken });
+        assert.equal(status, 200);
+        assert.equal(body.health.status, "ok");
+        assert.ok(body.health.tables.every(({ isReachable }) => isReachable));
+        assert.deepEqual(
+            body.health.tables.map(({ tableName }) => tableName),
+            [
+                "Programs",
+                "Metadata",
+                "LoginAttempts",
+                "Subscriptions",
+                "Blocks",
+                "Schedules",
+                "Templates",
+                "DateTemplates",
+                "ServiceRegex",
+                "Roles",
+                "Overrides",
+                "Leave",
+                "Changes",
+            ]
+        );
+    });
+
+    test("is only for admins", async () => {
+        const { status } = await app.request("GET", "/admin/health", { token });
+        assert.equal(status, 403);
+    });
+});
+
+// Helpers
+// -------
+
+/**
+ * Capture what is logged until the end of the test
+ * @param  {String} level   Minimum level of the messages to log
+ */
+function captureLogs(level) {
+    process.env.LOG_LEVEL = level;
+    logs = [];
+    console.log = (line) => logs.push(JSON.parse(line));
+}
+
+/**
+ * Gets the captured logs with a message, after the logs written when responses finish
+ * @param  {String} message     Message of the logs
+ * @return {Array}              Parsed logs
+ */
+async function getLogs(message) {
+    await setImmediate();
+    return logs.filter((entry) => entry.message === message);
+}
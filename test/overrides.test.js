@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startApp } from "./harness.js";
+
+const OVERRIDE = { type: "status", name: "Ava Thompson", date: "2023-09-14", status: "off" };
+
+let app, token, otherToken, adminToken;
+
+before(async () => {
+    app = await startApp();
+    [token, otherToken, adminToken] = await Promise.all([
+        app.logIn(),
+        app.logInToOtherCohort(),
+        app.logIn(true),
+    ]);
+});
+
+after(() => app?.close());
+
+describe("overrides of other cohorts", () => {
+    let id;
+
+    before(async () => {
+        const { body } = await app.request("POST", "/overrides", { body: OVERRIDE, token });
+        id = body.override.id;
+    });
+
+    test("can be read but not replaced or deleted", async () => {
+        const [{ status: readStatus }, { status: replaceStatus }, { status: deleteStatus }] =
+            await Promise.all([
+                app.request("GET", `/overrides/${id}`, { token: otherToken }),
+                app.request("PUT", `/overrides/${id}`, {
+                    body: { ...OVERRIDE, status: "working" },
+                    token: otherToken,
+                }),
+                app.request("DELETE", `/overrides/${id}`, { token: otherToken }),
+            ]);
+        assert.equal(readStatus, 200);
+        assert.equal(replaceStatus, 403);
+        assert.equal(deleteStatus, 403);
+        const { body } = await app.request("GET", `/overrides/${id}`, { token });
+        assert.equal(body.override.status, "off");
+    });
+
+    test("can be replaced by the cohort that created them", async () => {
+        const { status, body } = await app.request("PUT", `/overrides/${id}`, {
+            body: { ...OVERRIDE, status: "working" },
+            token,
+        });
+        assert.equal(status, 200);
+        assert.equal(body.override.status, "working");
+        assert.equal(body.override.createdBy, "default");
+    });
+
+    test("can be deleted by admins", async () => {
+        const { status } = await app.request("DELETE", `/overrides/${id}`, { token: adminToken });
+        assert.equal(status, 204);
+    });
+});
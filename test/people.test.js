@@ -0,0 +1,196 @@
+import assert from "node:assert/strict";
+import dayjs from "dayjs";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { buildOffDaysForSchedule } from "../helpers/output.js";
+import { buildLocalStorage } from "../helpers/storage/local.js";
+import { startApp } from "./harness.js";
+
+// read without writing, so the fixtures can be used as they are
+const FIXTURES_DIR = path.join(
+    path.dirname(path.dirname(fileURLToPath(import.meta.url))),
+    "fixtures"
+);
+
+let app, token;
+
+before(async () => {
+    app = await startApp();
+    token = await app.logIn();
+});
+
+after(() => app?.close());
+
+describe("GET /people", () => {
+    test("ignores case, accents, and punctuation", async () => {
+        assert.deepEqual(await searchNames("obrien"), ["Liam O'Brien"]);
+        assert.deepEqual(await searchNames("JOSE NUNEZ"), ["José Núñez"]);
+        assert.deepEqual(await searchNames("al sayed"), ["Fatima Al-Sayed"]);
+    });
+
+    test("allows typos in longer words", async () => {
+        assert.deepEqual(await searchNames("garcai"), ["Mateo García"]);
+        assert.deepEqual(await searchNames("shmidt"), ["Emma Schmidt"]);
+        // short words have to match exactly so that they do not match everyone
+        assert.deepEqual(await searchNames("zoa"), []);
+    });
+
+    test("lists the closest matches first", async () => {
+        const names = await searchNames("a");
+        assert.deepEqual(names.slice(0, 2), ["Ava Thompson", "Fatima Al-Sayed"]);
+        assert.equal(names.length, 10);
+    });
+
+    test("returns the role, class year, and assignment on a date", async () => {
+        const { status, body } = await app.request("GET", "/people?q=mateo&date=2023-09-14", {
+            token,
+        });
+        assert.equal(status, 200);
+        assert.deepEqual(body.people, {
+            date: "2023-09-14",
+            results: [
+                {
+                    name: "Mateo García",
+                    role: "Resident",
+                    classYear: "2024",
+                    currentBlockName: "3A",
+                    currentAssignment: "CCU B",
+                },
+            ],
+        });
+    });
+
+    test("lists everyone without a search", async () => {
+        const { body } = await app.request("GET", "/people", { token });
+        assert.equal(body.people.results.length, 12);
+        // today is not in the fixture academic year
+        assert.equal(body.people.date, null);
+        assert.ok(body.people.results.every(({ currentAssignment }) => currentAssignment === null));
+    });
+});
+
+describe("buildOffDaysForSchedule", () => {
+    test("skips days where the person is not in their role's schedules", async () => {
+        // such as a schedule read before the person was removed by an import
+        const consoleLog = console.log,
+            logs = [];
+        console.log = (line) => logs.push(JSON.parse(line));
+        try {
+            const offDays = await buildOffDaysForSchedule(
+                buildLocalStorage(FIXTURES_DIR),
+                [dayjs("2023-09-14")],
+                { name: "Nobody Here", role: "Intern" }
+            );
+            assert.deepEqual(offDays, []);
+        } finally {
+            console.log = consoleLog;
+        }
+        assert.deepEqual(
+            logs.map(({ level, message, date }) => [level, message, date]),
+            [["warn", "Could not classify a person on a day", "2023-09-14"]]
+        );
+    });
+});
+
+describe("people search storage", () => {
+    test("reads the schedules from the cache after the first search", async () => {
+        await searchNames("ava");
+        const consoleLog = console.log,
+            logs = [];
+        process.env.LOG_LEVEL = "debug";
+        console.log = (line) => logs.push(JSON.parse(line));
+        try {
+            await searchNames("noah");
+            await searchNames("mateo");
+        } finally {
+            console.log = consoleLog;
+            process.env.LOG_LEVEL = "warn";
+        }
+        assert.ok(logs.some(({ message }) => message === "Handled request"));
+        // the data version may also be checked, which is not a read of the schedules
+        assert.deepEqual(
+            logs.filter(
+                ({ message, method, table }) =>
+                    message === "Called storage" &&
+                    (method === "getSchedules" || table === "Schedules")
+            ),
+            []
+        );
+    });
+});
+
+describe("GET /schedule-status/:date filters", () => {
+    test("only returns the given names", async () => {
+        const scheduleStatus = await getScheduleStatus(
+            "names=Liam%20O'Brien&names=Mateo%20Garc%C3%ADa"
+        );
+        assert.deepEqual(getNames(scheduleStatus), ["Liam O'Brien", "Mateo García"]);
+    });
+
+    test("only returns the given role", async () => {
+        const scheduleStatus = await getScheduleStatus("role=Intern"),
+            names = getNames(scheduleStatus);
+        assert.equal(names.length, 6);
+        assert.ok(names.includes("Ava Thompson"));
+        assert.ok(!names.includes("Mateo García"));
+    });
+
+    test("rejects unknown names and roles", async () => {
+        const unknownName = await app.request("GET", "/schedule-status/2023-09-14?names=Nobody", {
+                token,
+            }),
+            unknownRole = await app.request("GET", "/schedule-status/2023-09-14?role=Fellow", {
+                token,
+            });
+        assert.equal(unknownName.status, 404);
+        assert.equal(unknownRole.status, 404);
+        assert.equal(unknownRole.body.error.code, "NO_BLOCK_FOUND");
+        assert.deepEqual(unknownRole.body.error.details, { date: "2023-09-14", role: "Fellow" });
+    });
+});
+
+// Helpers
+// -------
+
+/**
+ * Search for people
+ * @param  {String} query   Search text
+ * @return {Array}          Names of the results, in order
+ */
+async function searchNames(query) {
+    const { status, body } = await app.request("GET", `/people?q=${encodeURIComponent(query)}`, {
+        token,
+    });
+    assert.equal(status, 200);
+    return body.people.results.map(({ name }) => name);
+}
+
+/**
+ * Gets the schedule status for 2023-09-14 with filters
+ * @param  {String} query   Query string of the filters
+ * @return {Object}         Schedule status
+ */
+async function getScheduleStatus(query) {
+    const { status, body } = await app.request("GET", `/schedule-status/2023-09-14?${query}`, {
+        token,
+    });
+    assert.equal(status, 200);
+    return body["schedule-status"];
+}
+
+/**
+ * Gets the names of everyone in a schedule status, whatever their status
+ * @param  {Object} scheduleStatus  Object built by `buildScheduleStatusForDate`
+ * @return {Array}                  Sorted names
+ */
+function getNames(scheduleStatus) {
+    return [
+        process.env.CLASSIFICATION_KEY_OFF,
+        process.env.CLASSIFICATION_KEY_MAYBE_OFF,
+        process.env.CLASSIFICATION_KEY_LIKELY_NOT_OFF,
+        process.env.CLASSIFICATION_KEY_ON_LEAVE,
+    ]
+        .flatMap((key) => scheduleStatus[key].map(({ name }) => name))
+        .sort();
+}
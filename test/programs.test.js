@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { before, describe, test } from "node:test";
+import { getProgram, getProgramYear } from "../helpers/programs.js";
+import { ERROR_CODE_DATE_OUT_OF_RANGE } from "../helpers/status-error.js";
+import { setUpEnvironment } from "./harness.js";
+
+// Program with two academic years, as built by `getProgram`
+const PROGRAM = {
+    id: "default",
+    years: [
+        {
+            programId: "default",
+            year: "2022",
+            minDate: "2022-06-30T00:00:00Z",
+            maxDate: "2023-06-30T23:59:59Z",
+        },
+        {
+            programId: "default",
+            year: "2023",
+            minDate: "2023-06-30T00:00:00Z",
+            maxDate: "2024-06-30T23:59:59Z",
+        },
+    ],
+};
+
+before(setUpEnvironment);
+
+describe("getProgramYear", () => {
+    test("uses the year that includes the date", () => {
+        assert.equal(getProgramYear(PROGRAM, null, "2023-01-15").year, "2022");
+        assert.equal(getProgramYear(PROGRAM, null, "2023-09-14").year, "2023");
+    });
+
+    test("uses the given year when the date is within it", () => {
+        assert.equal(getProgramYear(PROGRAM, "2023", "2023-09-14").year, "2023");
+    });
+
+    test("does not allow dates outside of the given year", () => {
+        assert.throws(() => getProgramYear(PROGRAM, "2022", "2023-09-14"), {
+            statusCode: 400,
+            code: ERROR_CODE_DATE_OUT_OF_RANGE,
+            details: { minDate: "2022-07-01", maxDate: "2023-06-30" },
+        });
+    });
+
+    test("does not allow years that the program does not have", () => {
+        assert.throws(() => getProgramYear(PROGRAM, "2021"), { statusCode: 404 });
+    });
+});
+
+describe("getProgram", () => {
+    // storage of a deployment from before the Programs table, which has no rows
+    const db = { getProgramYears: async () => [] };
+
+    test("falls back to the legacy bounds for the default program without rows", async () => {
+        Object.assign(process.env, {
+            BOUND_MIN_DATE: "2023-07-26T00:00:00Z",
+            BOUND_MAX_DATE: "2023-12-11T23:59:59Z",
+        });
+        try {
+            assert.deepEqual(await getProgram(db, process.env.DEFAULT_PROGRAM_ID), {
+                id: process.env.DEFAULT_PROGRAM_ID,
+                years: [
+                    {
+                        programId: process.env.DEFAULT_PROGRAM_ID,
+                        year: "2023",
+                        name: process.env.DEFAULT_PROGRAM_ID,
+                        tablePrefix: "",
+                        minDate: "2023-07-26T00:00:00Z",
+                        maxDate: "2023-12-11T23:59:59Z",
+                    },
+                ],
+            });
+            await assert.rejects(getProgram(db, "peds"), { statusCode: 404 });
+        } finally {
+            Object.assign(process.env, { BOUND_MIN_DATE: "", BOUND_MAX_DATE: "" });
+        }
+    });
+
+    test("does not find the default program without rows or legacy bounds", async () => {
+        await assert.rejects(getProgram(db, process.env.DEFAULT_PROGRAM_ID), { statusCode: 404 });
+    });
+});
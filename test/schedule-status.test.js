@@ -0,0 +1,180 @@
+import assert from "node:assert/strict";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { startApp } from "./harness.js";
+
+// Set `UPDATE_GOLDEN=true` to rewrite the golden files from the current responses instead of
+// comparing against them, then review the diff before committing
+const GOLDEN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "golden"),
+    IS_UPDATING_GOLDEN = process.env.UPDATE_GOLDEN === "true",
+    // first and last days of the academic year, the first and last days of a block, and days in the
+    // middle of the year for both roles
+    GOLDEN_DATES = [
+        "2023-07-27",
+        "2023-08-09",
+        "2023-08-10",
+        "2023-09-14",
+        "2023-10-31",
+        "2023-12-11",
+    ];
+
+let app, token, adminToken;
+
+before(async () => {
+    app = await startApp();
+    [token, adminToken] = await Promise.all([app.logIn(), app.logIn(true)]);
+});
+
+after(() => app?.close());
+
+describe("GET /schedule-status/:date", () => {
+    for (const date of GOLDEN_DATES) {
+        test(`matches the golden response for ${date}`, async () => {
+            const { status, body } = await app.request("GET", `/schedule-status/${date}`, {
+                token,
+            });
+            assert.equal(status, 200);
+            await assertMatchesGolden(`schedule-status/${date}.json`, body);
+        });
+    }
+
+    test("matches the golden response with explanations", async () => {
+        const { status, body } = await app.request(
+            "GET",
+            "/schedule-status/2023-09-14?explain=true",
+            { token }
+        );
+        assert.equal(status, 200);
+        await assertMatchesGolden("schedule-status/2023-09-14-explain.json", body);
+    });
+
+    test("gives the same response under the program's path", async () => {
+        const [{ body: expected }, { body: actual }] = await Promise.all([
+            app.request("GET", "/schedule-status/2023-09-14", { token }),
+            app.request("GET", "/programs/default/schedule-status/2023-09-14", { token }),
+        ]);
+        assert.deepEqual(actual, expected);
+    });
+
+    test("does not allow the min date of the academic year since it is exclusive", async () => {
+        const { status, body } = await app.request("GET", "/schedule-status/2023-07-26", { token });
+        assert.equal(status, 400);
+        assert.equal(body.error.code, "DATE_OUT_OF_RANGE");
+        assert.deepEqual(body.error.details, { minDate: "2023-07-27", maxDate: "2023-12-11" });
+    });
+
+    test("does not allow dates after the academic year", async () => {
+        const { status, body } = await app.request("GET", "/schedule-status/2023-12-12", { token });
+        assert.equal(status, 400);
+        assert.equal(body.error.code, "DATE_OUT_OF_RANGE");
+    });
+
+    test("does not allow dates that are not valid", async () => {
+        const { status, body } = await app.request("GET", "/schedule-status/2023-02-30", { token });
+        assert.equal(status, 400);
+        assert.equal(body.error.code, "INVALID_REQUEST");
+        assert.deepEqual(
+            body.error.details.map(({ field }) => field),
+            ["date"]
+        );
+    });
+
+    test("requires a token", async () => {
+        const { status, body } = await app.request("GET", "/schedule-status/2023-09-14");
+        assert.equal(status, 401);
+        assert.equal(body.error.code, "UNAUTHORIZED");
+    });
+
+    test("does not allow tokens that were not signed by the app", async () => {
+        const { status } = await app.request("GET", "/schedule-status/2023-09-14", {
+            token: `${token.slice(0, -2)}xx`,
+        });
+        assert.equal(status, 401);
+    });
+});
+
+describe("GET /schedule-status", () => {
+    test("gives the same status for each day as the single day route", async () => {
+        const [{ status, body }, ...singleDays] = await Promise.all([
+            app.request("GET", "/schedule-status?from=2023-08-09&to=2023-08-10", { token }),
+            app.request("GET", "/schedule-status/2023-08-09", { token }),
+            app.request("GET", "/schedule-status/2023-08-10", { token }),
+        ]);
+        assert.equal(status, 200);
+        assert.deepEqual(
+            body["schedule-status"],
+            singleDays.map(({ body }) => body["schedule-status"])
+        );
+    });
+});
+
+describe("date template sites", () => {
+    test("shows everyone in a position that is off, when several are off on the date", async () => {
+        // positions 1 and 2 of Bayview ICU are both off in `fixtures/DateTemplates.json`
+        const { status, body } = await app.request(
+            "GET",
+            "/schedule-status/2023-08-13?role=Resident",
+            { token }
+        );
+        assert.equal(status, 200);
+        assert.deepEqual(
+            body["schedule-status"].off
+                .filter(({ assignment }) => /^(?:BCCU|BMICU)/.test(assignment))
+                .map(({ name, assignment }) => [name, assignment]),
+            [
+                ["Ethan Park", "BMICU 2"],
+                ["Zoe Washington", "BCCU 1"],
+            ]
+        );
+    });
+});
+
+describe("roles whose blocks are shorter than their blocks in Blocks", () => {
+    test("warns instead of reading template columns past the role's block length", async () => {
+        const { status: importStatus } = await app.request(
+            "POST",
+            "/admin/import/roles?write=true",
+            {
+                body: "role,block_length,sub_block_labels\nIntern,7,A B\nResident,14,A B",
+                contentType: "text/csv",
+                token: adminToken,
+            }
+        );
+        assert.equal(importStatus, 200);
+        // day 8 of the intern block and day 1 of the resident block
+        const { status, body } = await app.request("GET", "/schedule-status/2023-09-14", {
+                token,
+            }),
+            scheduleStatus = body["schedule-status"];
+        assert.equal(status, 200);
+        assert.deepEqual(
+            scheduleStatus.warnings.map(({ role, code }) => [role, code]),
+            [["Intern", "DAY_PAST_BLOCK_LENGTH"]]
+        );
+        assert.ok(
+            [...scheduleStatus.off, ...scheduleStatus.maybeOff].every(({ role }) => role !== "Intern")
+        );
+    });
+});
+
+// Helpers
+// -------
+
+/**
+ * Assert that a response body matches its golden file, or rewrite the golden file with the body when
+ * `UPDATE_GOLDEN` is `true`
+ * @param  {String} fileName    Path of the golden file within `test/golden`
+ * @param  {Object} body        Parsed response body
+ */
+async function assertMatchesGolden(fileName, body) {
+    const filePath = path.join(GOLDEN_DIR, fileName);
+    if (IS_UPDATING_GOLDEN) {
+        await mkdir(path.dirname(filePath), { recursive: true });
+        await writeFile(filePath, `${JSON.stringify(body, null, 4)}\n`);
+        return;
+    }
+    const golden = JSON.parse(await readFile(filePath, "utf8"));
+    assert.deepEqual(body, golden, `The response does not match ${fileName}`);
+}
@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, readFile, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { buildLocalStorage } from "../helpers/storage/local.js";
+import { setUpEnvironment } from "./harness.js";
+
+let directory;
+
+before(async () => {
+    setUpEnvironment();
+    directory = await mkdtemp(path.join(os.tmpdir(), "off-days-storage-"));
+});
+
+after(() => rm(directory, { recursive: true, force: true }));
+
+describe("local storage", () => {
+    test("keeps every write when writes to a table overlap", async () => {
+        const storage = buildLocalStorage(directory),
+            ids = ["1", "2", "3", "4", "5"];
+        await Promise.all([
+            ...ids.map((id) => storage.putOverride({ id, scope: "2023-09-14" })),
+            storage.addChanges([{ tableName: "Overrides", changeId: "1" }]),
+        ]);
+        await storage.deleteOverride("3");
+        const file = await readFile(path.join(directory, "Overrides.json"), "utf8"),
+            savedIds = JSON.parse(file).map(({ id }) => id);
+        assert.deepEqual(savedIds, ["1", "2", "4", "5"]);
+        assert.deepEqual(
+            (await buildLocalStorage(directory).getAllItems("Overrides")).map(({ id }) => id),
+            savedIds
+        );
+    });
+
+    test("keeps writing after a write fails", async () => {
+        const missingDirectory = path.join(directory, "missing"),
+            storage = buildLocalStorage(missingDirectory);
+        await assert.rejects(storage.putLeave({ id: "1" }));
+        await mkdir(missingDirectory);
+        await storage.putLeave({ id: "2" });
+        assert.ok(
+            JSON.parse(await readFile(path.join(missingDirectory, "Leave.json"), "utf8")).some(
+                ({ id }) => id === "2"
+            )
+        );
+    });
+});
@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startApp } from "./harness.js";
+
+const SUBSCRIPTION = {
+    name: "Noah Kim",
+    friends: ["Ava Thompson", "Ethan Park"],
+    email: "noah@example.com",
+};
+
+let app, token, otherToken, adminToken;
+
+before(async () => {
+    app = await startApp();
+    [token, otherToken, adminToken] = await Promise.all([
+        app.logIn(),
+        app.logInToOtherCohort(),
+        app.logIn(true),
+    ]);
+});
+
+after(() => app?.close());
+
+describe("subscriptions of other cohorts", () => {
+    let id;
+
+    before(async () => {
+        const { body } = await app.request("POST", "/subscriptions", {
+            body: SUBSCRIPTION,
+            token,
+        });
+        id = body.subscription.id;
+    });
+
+    test("cannot be read, previewed, replaced, or deleted", async () => {
+        const responses = await Promise.all([
+            app.request("GET", `/subscriptions/${id}`, { token: otherToken }),
+            app.request("GET", `/subscriptions/${id}/digest`, { token: otherToken }),
+            app.request("PUT", `/subscriptions/${id}`, {
+                body: { ...SUBSCRIPTION, email: "someone-else@example.com" },
+                token: otherToken,
+            }),
+            app.request("DELETE", `/subscriptions/${id}`, { token: otherToken }),
+        ]);
+        assert.deepEqual(
+            responses.map(({ status }) => status),
+            [404, 404, 404, 404]
+        );
+        const { status, body } = await app.request("GET", `/subscriptions/${id}`, { token });
+        assert.equal(status, 200);
+        assert.equal(body.subscription.address, SUBSCRIPTION.email);
+    });
+
+    test("can be read and changed by admins", async () => {
+        const { status } = await app.request("GET", `/subscriptions/${id}`, {
+            token: adminToken,
+        });
+        assert.equal(status, 200);
+        const { status: deleteStatus } = await app.request("DELETE", `/subscriptions/${id}`, {
+            token: adminToken,
+        });
+        assert.equal(deleteStatus, 204);
+    });
+});
+
+describe("webhook subscriptions", () => {
+    test("only allow https URLs of public hosts", async () => {
+        const responses = await Promise.all(
+            [
+                "http://hooks.example.com/digest",
+                "https://169.254.169.254/latest/meta-data",
+                "https://10.0.0.12/digest",
+                "https://[::1]/digest",
+                "https://localhost/digest",
+            ].map((webhookUrl) =>
+                app.request("POST", "/subscriptions", {
+                    body: { ...SUBSCRIPTION, email: undefined, webhookUrl },
+                    token,
+                })
+            )
+        );
+        assert.deepEqual(
+            responses.map(({ status }) => status),
+            [400, 400, 400, 400, 400]
+        );
+        const { status, body } = await app.request("POST", "/subscriptions", {
+            body: { ...SUBSCRIPTION, email: undefined, webhookUrl: "https://hooks.example.com/a" },
+            token,
+        });
+        assert.equal(status, 201);
+        assert.equal(body.subscription.transport, "webhook");
+    });
+});